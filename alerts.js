@@ -0,0 +1,453 @@
+/**
+ * Alert Engine
+ *
+ * Evaluates alert rules against live data and delivers matching events to
+ * webhooks. Rules are checked as events arrive on the live event hub, so
+ * sensor points are evaluated as soon as they are ingested and station
+ * rules after every bikes fetch:
+ * - geofence_enter / geofence_exit { geofenceId, deviceId? }: a device
+ *   crossed the boundary of a geofence. The first fix of a device only sets
+ *   its baseline, and fixes less accurate than MAX_FIX_ACCURACY are ignored
+ *   so GPS jitter cannot trigger alerts
+ * - station_bikes_below / station_stands_below { feedId, stationNumber,
+ *   threshold }: fires once when a station drops below the threshold and
+ *   re-arms when it recovers
+ *
+ * Geofences, rules and webhooks live in the storage backend; events are
+ * stored with their delivery status in `alert_events`.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { subscribe } = require('./liveEvents');
+const { validateGeofence, containsPoint } = require('./geofences');
+const { deliverEvent, checkWebhookUrl } = require('./webhooks');
+const { hasPosition } = require('./geoUtils');
+const { logger } = require('./logger');
+
+const GEOFENCE_RULES = ['geofence_enter', 'geofence_exit'];
+const STATION_RULES = {
+  station_bikes_below: 'available_bikes',
+  station_stands_below: 'available_bike_stands'
+};
+const RULE_TYPES = [...GEOFENCE_RULES, ...Object.keys(STATION_RULES)];
+
+// metres - less accurate fixes never change a device's inside/outside state
+const MAX_FIX_ACCURACY = 50;
+
+const COLLECTIONS = {
+  geofences: 'geofences',
+  rules: 'alert_rules',
+  webhooks: 'webhooks'
+};
+
+// kind -> Map(id -> document), loaded from storage on first use
+let config = null;
+let configLoading = null;
+
+// `${subject}|${geofenceId}` -> true when the subject was last seen inside
+const fenceState = new Map();
+// ruleId -> true while the station is below the threshold
+const stationState = new Map();
+
+let unsubscribers = [];
+
+function newId(prefix) {
+  return `${prefix}-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+async function loadConfig() {
+  if (config) {
+    return config;
+  }
+  if (!configLoading) {
+    configLoading = Promise.all(Object.entries(COLLECTIONS).map(async ([kind, collection]) => {
+      const result = await getStorage().getAlertConfig(collection);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return [kind, new Map(result.data.map(doc => [doc.id, doc]))];
+    }))
+      .then(entries => {
+        config = Object.fromEntries(entries);
+        return config;
+      })
+      .finally(() => {
+        configLoading = null;
+      });
+  }
+  return configLoading;
+}
+
+async function saveDocument(kind, doc) {
+  const loaded = await loadConfig();
+  const result = await getStorage().saveAlertConfig(COLLECTIONS[kind], doc);
+  if (!result.success) {
+    return { success: false, status: 500, error: result.error };
+  }
+  loaded[kind].set(doc.id, doc);
+  return { success: true };
+}
+
+async function deleteDocument(kind, id) {
+  const loaded = await loadConfig();
+  if (!loaded[kind].has(id)) {
+    return { success: false, status: 404, error: `Not found: ${id}` };
+  }
+  const result = await getStorage().deleteAlertConfig(COLLECTIONS[kind], id);
+  if (!result.success) {
+    return { success: false, status: 500, error: result.error };
+  }
+  loaded[kind].delete(id);
+  return { success: true };
+}
+
+async function listDocuments(kind) {
+  const loaded = await loadConfig();
+  return [...loaded[kind].values()];
+}
+
+async function createGeofence(definition = {}) {
+  const errors = validateGeofence(definition);
+  if (errors.length > 0) {
+    return { success: false, status: 400, error: 'Invalid geofence', details: errors };
+  }
+
+  const { name, type, center, radius, coordinates } = definition;
+  const geofence = type === 'circle'
+    ? { id: newId('gf'), name, type, center: { lat: center.lat, lng: center.lng }, radius }
+    : { id: newId('gf'), name, type, coordinates };
+  geofence.createdAt = new Date().toISOString();
+
+  const result = await saveDocument('geofences', geofence);
+  return result.success ? { success: true, geofence } : result;
+}
+
+async function listGeofences() {
+  return listDocuments('geofences');
+}
+
+async function deleteGeofence(id) {
+  const rules = await listDocuments('rules');
+  const users = rules.filter(rule => rule.geofenceId === id);
+  if (users.length > 0) {
+    return {
+      success: false,
+      status: 409,
+      error: `Geofence is used by rules: ${users.map(rule => rule.id).join(', ')}`
+    };
+  }
+  return deleteDocument('geofences', id);
+}
+
+async function validateRule(definition) {
+  const errors = [];
+  const { type } = definition;
+
+  if (!RULE_TYPES.includes(type)) {
+    return [`type must be one of: ${RULE_TYPES.join(', ')}`];
+  }
+
+  if (GEOFENCE_RULES.includes(type)) {
+    const loaded = await loadConfig();
+    if (!loaded.geofences.has(definition.geofenceId)) {
+      errors.push('geofenceId must be an existing geofence');
+    }
+  } else {
+    if (!definition.feedId) {
+      errors.push('feedId is required');
+    }
+    if (definition.stationNumber === undefined || definition.stationNumber === '') {
+      errors.push('stationNumber is required');
+    }
+    if (!Number.isInteger(definition.threshold) || definition.threshold < 1) {
+      errors.push('threshold must be a positive integer');
+    }
+  }
+
+  return errors;
+}
+
+async function createRule(definition = {}) {
+  const errors = await validateRule(definition);
+  if (errors.length > 0) {
+    return { success: false, status: 400, error: 'Invalid rule', details: errors };
+  }
+
+  const { type } = definition;
+  const rule = { id: newId('rule'), type, name: definition.name || type };
+  if (GEOFENCE_RULES.includes(type)) {
+    rule.geofenceId = definition.geofenceId;
+    rule.deviceId = definition.deviceId || null;
+  } else {
+    rule.feedId = definition.feedId;
+    rule.stationNumber = String(definition.stationNumber);
+    rule.threshold = definition.threshold;
+  }
+  rule.createdAt = new Date().toISOString();
+
+  const result = await saveDocument('rules', rule);
+  return result.success ? { success: true, rule } : result;
+}
+
+async function listRules() {
+  return listDocuments('rules');
+}
+
+async function deleteRule(id) {
+  const result = await deleteDocument('rules', id);
+  if (result.success) {
+    stationState.delete(id);
+  }
+  return result;
+}
+
+/**
+ * Public view of a webhook (without its secret)
+ */
+function describeWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+/**
+ * Register a webhook; the signing secret is generated when not given and
+ * only returned here
+ * events: rule types to deliver, or ['*'] for all
+ */
+async function createWebhook({ url, events = ['*'], secret, description } = {}) {
+  const errors = [];
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    // reported below
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    errors.push('url must be an http(s) URL');
+  } else {
+    const hostError = checkWebhookUrl(url);
+    if (hostError) {
+      errors.push(hostError);
+    }
+  }
+  if (!Array.isArray(events) || events.length === 0 ||
+      !events.every(type => type === '*' || RULE_TYPES.includes(type))) {
+    errors.push(`events must be a list of rule types (${RULE_TYPES.join(', ')}) or ["*"]`);
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    errors.push('secret must be at least 16 characters');
+  }
+  if (errors.length > 0) {
+    return { success: false, status: 400, error: 'Invalid webhook', details: errors };
+  }
+
+  const webhook = {
+    id: newId('wh'),
+    url,
+    description: description || null,
+    events,
+    secret: secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+    createdAt: new Date().toISOString()
+  };
+
+  const result = await saveDocument('webhooks', webhook);
+  return result.success ? { success: true, webhook: describeWebhook(webhook), secret: webhook.secret } : result;
+}
+
+async function deleteWebhook(id) {
+  return deleteDocument('webhooks', id);
+}
+
+async function listWebhooks() {
+  return (await listDocuments('webhooks')).map(describeWebhook);
+}
+
+async function saveEvent(event) {
+  const result = await getStorage().saveAlertEvent(event);
+  if (!result.success) {
+    logger.error('Failed to store alert event', { eventId: event.id, error: result.error });
+  }
+}
+
+/**
+ * Store an alert event and deliver it to every subscribed webhook
+ */
+async function emitEvent(rule, occurredAt, data) {
+  const loaded = await loadConfig();
+  const webhooks = [...loaded.webhooks.values()]
+    .filter(webhook => webhook.events.includes('*') || webhook.events.includes(rule.type));
+
+  const event = {
+    id: newId('evt'),
+    type: rule.type,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    occurredAt,
+    data,
+    deliveries: webhooks.map(webhook => ({
+      webhookId: webhook.id,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      lastAttemptAt: null,
+      deliveredAt: null
+    }))
+  };
+
+  logger.info('Alert fired', { eventId: event.id, ruleId: rule.id, type: rule.type, webhooks: webhooks.length });
+  await saveEvent(event);
+
+  // The event is stored again after each attempt so its delivery status stays current
+  webhooks.forEach((webhook, index) => {
+    deliverEvent(webhook, event, event.deliveries[index], () => saveEvent(event));
+  });
+
+  return event;
+}
+
+/**
+ * Check geofence rules against newly ingested points
+ */
+async function evaluatePoints({ sessionId, deviceId, points }) {
+  const loaded = await loadConfig();
+  const rules = [...loaded.rules.values()].filter(rule => GEOFENCE_RULES.includes(rule.type));
+  if (rules.length === 0) {
+    return;
+  }
+
+  const fenceIds = [...new Set(rules.map(rule => rule.geofenceId))];
+  const fixes = points
+    .filter(point => hasPosition(point) && !(point.accuracy > MAX_FIX_ACCURACY))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  for (const point of fixes) {
+    const pointDevice = point.deviceId || deviceId || null;
+    // Devices are tracked across sessions; anonymous points per session
+    const subject = pointDevice || `session:${sessionId}`;
+
+    for (const fenceId of fenceIds) {
+      const fence = loaded.geofences.get(fenceId);
+      if (!fence) {
+        continue;
+      }
+
+      const key = `${subject}|${fenceId}`;
+      const inside = containsPoint(fence, point.latitude, point.longitude);
+      const wasInside = fenceState.get(key);
+      fenceState.set(key, inside);
+
+      if (wasInside === undefined || wasInside === inside) {
+        continue;
+      }
+
+      const type = inside ? 'geofence_enter' : 'geofence_exit';
+      const matching = rules.filter(rule =>
+        rule.type === type && rule.geofenceId === fenceId && (!rule.deviceId || rule.deviceId === pointDevice));
+
+      for (const rule of matching) {
+        await emitEvent(rule, new Date(point.timestamp).toISOString(), {
+          geofenceId: fence.id,
+          geofenceName: fence.name,
+          deviceId: pointDevice,
+          sessionId,
+          latitude: point.latitude,
+          longitude: point.longitude,
+          accuracy: point.accuracy === undefined ? null : point.accuracy,
+          timestamp: point.timestamp
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Check station rules against the stations that changed in a fetch
+ */
+async function evaluateStations({ feedId, fetchedAt, stations }) {
+  const loaded = await loadConfig();
+  const rules = [...loaded.rules.values()]
+    .filter(rule => STATION_RULES[rule.type] && rule.feedId === feedId);
+
+  for (const rule of rules) {
+    const station = stations.find(candidate => String(candidate.station_number) === rule.stationNumber);
+    if (!station) {
+      continue;
+    }
+
+    const field = STATION_RULES[rule.type];
+    const below = station[field] < rule.threshold;
+    const alerting = stationState.get(rule.id) === true;
+    stationState.set(rule.id, below);
+
+    if (below && !alerting) {
+      await emitEvent(rule, fetchedAt, {
+        feedId,
+        stationNumber: rule.stationNumber,
+        stationName: station.station_name,
+        threshold: rule.threshold,
+        [field]: station[field],
+        status: station.status
+      });
+    }
+  }
+}
+
+function handle(evaluate) {
+  return event => {
+    evaluate(event.data).catch(error => {
+      logger.error('Alert evaluation failed', { error });
+    });
+  };
+}
+
+/**
+ * Load alert configuration and start evaluating live events
+ */
+async function startAlertEngine() {
+  if (unsubscribers.length > 0) {
+    return;
+  }
+  const loaded = await loadConfig();
+  unsubscribers = [
+    subscribe('sensor', handle(evaluatePoints)),
+    subscribe('bikes', handle(evaluateStations))
+  ];
+  logger.info('Alert engine started', {
+    rules: loaded.rules.size,
+    geofences: loaded.geofences.size,
+    webhooks: loaded.webhooks.size
+  });
+}
+
+/**
+ * Stop evaluating live events
+ * Webhook retries already scheduled are dropped; their events stay stored
+ * with status retrying
+ */
+function stopAlertEngine() {
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  unsubscribers = [];
+}
+
+/**
+ * Stored alert events, newest first
+ */
+async function getAlertEvents(filters) {
+  return getStorage().getAlertEvents(filters);
+}
+
+module.exports = {
+  RULE_TYPES,
+  startAlertEngine,
+  stopAlertEngine,
+  createGeofence,
+  listGeofences,
+  deleteGeofence,
+  createRule,
+  listRules,
+  deleteRule,
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  getAlertEvents
+};
@@ -0,0 +1,290 @@
+/**
+ * Authentication
+ *
+ * Two kinds of credentials, sent as `Authorization: Bearer <token>`
+ * (or, device tokens only, `?token=` on the stream routes, since
+ * EventSource cannot set headers):
+ * - device tokens, issued by POST /api/devices/register, for ingestion
+ *   and for reading the device's own sessions
+ * - admin API keys (ADMIN_API_KEYS, comma-separated) for fetcher control,
+ *   device management and cross-session reads
+ *
+ * Only a SHA-256 hash of each device token is stored (in the `devices`
+ * collection of the storage backend). Set AUTH_DISABLED=true to turn
+ * authentication off for local development; every request is then
+ * treated as an admin.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { logger } = require('./logger');
+
+const TOKEN_PREFIX = 'dev_';
+
+// deviceId -> device record, loaded from storage on first use
+let devices = null;
+let devicesLoading = null;
+
+function isAuthDisabled() {
+  return process.env.AUTH_DISABLED === 'true';
+}
+
+// Registration is open unless DEVICE_REGISTRATION=admin
+function isRegistrationOpen() {
+  return process.env.DEVICE_REGISTRATION !== 'admin';
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function getAdminKeyHashes() {
+  return (process.env.ADMIN_API_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean)
+    .map(hashSecret);
+}
+
+function hasAdminKeys() {
+  return getAdminKeyHashes().length > 0;
+}
+
+// Compare hex digests without leaking the position of the first difference
+function digestsEqual(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+async function loadDevices() {
+  if (devices) {
+    return devices;
+  }
+  if (!devicesLoading) {
+    devicesLoading = getStorage().getDevices()
+      .then(result => {
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        devices = new Map(result.data.map(device => [device.deviceId, device]));
+        return devices;
+      })
+      .finally(() => {
+        devicesLoading = null;
+      });
+  }
+  return devicesLoading;
+}
+
+/**
+ * Public view of a device record (without the token hash)
+ */
+function describeDevice(device) {
+  return {
+    deviceId: device.deviceId,
+    name: device.name,
+    registeredAt: device.registeredAt,
+    revokedAt: device.revokedAt || null
+  };
+}
+
+/**
+ * Register a device and issue its token
+ * The token is only returned here; re-registering an existing device id
+ * rotates its token and is reserved for admins
+ */
+async function registerDevice({ deviceId, name } = {}, { asAdmin = false } = {}) {
+  const known = await loadDevices();
+  const id = deviceId || `device-${crypto.randomBytes(4).toString('hex')}`;
+  const existing = known.get(id);
+
+  if (existing && !asAdmin) {
+    return { success: false, status: 409, error: `Device "${id}" is already registered` };
+  }
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+  const device = {
+    deviceId: id,
+    name: name || (existing && existing.name) || id,
+    tokenHash: hashSecret(token),
+    registeredAt: new Date().toISOString(),
+    revokedAt: null
+  };
+
+  const result = await getStorage().saveDevice(device);
+  if (!result.success) {
+    return { success: false, status: 500, error: result.error };
+  }
+
+  known.set(id, device);
+  logger.info(existing ? 'Device re-registered' : 'Device registered', { deviceId: id });
+
+  return { success: true, device: describeDevice(device), token };
+}
+
+/**
+ * Revoke a device's token
+ */
+async function revokeDevice(deviceId) {
+  const known = await loadDevices();
+  const device = known.get(deviceId);
+
+  if (!device) {
+    return { success: false, status: 404, error: 'Device not found' };
+  }
+
+  const revoked = { ...device, revokedAt: new Date().toISOString() };
+  const result = await getStorage().saveDevice(revoked);
+  if (!result.success) {
+    return { success: false, status: 500, error: result.error };
+  }
+
+  known.set(deviceId, revoked);
+  logger.info('Device revoked', { deviceId });
+
+  return { success: true, device: describeDevice(revoked) };
+}
+
+async function listDevices() {
+  const known = await loadDevices();
+  return [...known.values()].map(describeDevice);
+}
+
+// Stream routes: /api/stream/... and /api/sessions/:id/stream
+function isStreamRoute(req) {
+  return /\/stream(\/|$)/.test(req.path);
+}
+
+function extractCredential(req) {
+  const header = req.get('Authorization') || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  if (match) {
+    return match[1].trim();
+  }
+  if (req.get('X-API-Key')) {
+    return req.get('X-API-Key');
+  }
+  // Query strings end up in access logs, proxies and browser history, so
+  // never take an admin key from one
+  const token = typeof req.query.token === 'string' ? req.query.token : null;
+  return token && token.startsWith(TOKEN_PREFIX) && isStreamRoute(req) ? token : null;
+}
+
+/**
+ * Resolve a credential to { role: 'admin' } or { role: 'device', deviceId }, or null
+ */
+async function resolveCredential(credential) {
+  if (!credential) {
+    return null;
+  }
+
+  const hash = hashSecret(credential);
+
+  if (getAdminKeyHashes().some(adminHash => digestsEqual(adminHash, hash))) {
+    return { role: 'admin' };
+  }
+
+  if (credential.startsWith(TOKEN_PREFIX)) {
+    const known = await loadDevices();
+    for (const device of known.values()) {
+      if (!device.revokedAt && digestsEqual(device.tokenHash, hash)) {
+        return { role: 'device', deviceId: device.deviceId };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Middleware: sets req.auth from the request's credential (null when absent
+ * or invalid); rejecting unauthenticated requests is left to the route guards
+ * When device tokens cannot be looked up (storage down), the request goes on
+ * unauthenticated with req.authError set, so public routes keep working
+ */
+async function authenticate(req, res, next) {
+  if (isAuthDisabled()) {
+    req.auth = { role: 'admin', disabled: true };
+    return next();
+  }
+
+  try {
+    req.auth = await resolveCredential(extractCredential(req));
+  } catch (error) {
+    logger.warn('Could not verify credential', { error });
+    req.auth = null;
+    req.authError = error.message;
+  }
+  next();
+}
+
+function sendUnauthorized(res) {
+  res.set('WWW-Authenticate', 'Bearer');
+  res.status(401).json({
+    success: false,
+    error: 'Authentication required: send a device token or admin API key as "Authorization: Bearer <token>"'
+  });
+}
+
+/**
+ * Route guard: a registered device or an admin
+ * 503 when the device token could not be checked, since it may be valid
+ */
+function requireDevice(req, res, next) {
+  if (!req.auth && req.authError) {
+    return res.status(503).json({
+      success: false,
+      error: 'Device tokens cannot be verified right now, try again later'
+    });
+  }
+  if (!req.auth) {
+    return sendUnauthorized(res);
+  }
+  next();
+}
+
+/**
+ * Route guard: admin API key only
+ */
+function requireAdmin(req, res, next) {
+  if (!req.auth) {
+    return sendUnauthorized(res);
+  }
+  if (req.auth.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin API key required'
+    });
+  }
+  next();
+}
+
+/**
+ * Device id of the authenticated device, or undefined for admins
+ */
+function authDeviceId(auth) {
+  return auth && auth.role === 'device' ? auth.deviceId : undefined;
+}
+
+/**
+ * Admins can access every session, devices only their own
+ */
+function canAccessSession(auth, ownerDeviceId) {
+  if (!auth) {
+    return false;
+  }
+  return auth.role === 'admin' || (Boolean(ownerDeviceId) && auth.deviceId === ownerDeviceId);
+}
+
+module.exports = {
+  isAuthDisabled,
+  isRegistrationOpen,
+  hasAdminKeys,
+  registerDevice,
+  revokeDevice,
+  listDevices,
+  authenticate,
+  requireDevice,
+  requireAdmin,
+  authDeviceId,
+  canAccessSession
+};
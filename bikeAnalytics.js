@@ -0,0 +1,162 @@
+/**
+ * Dublin Bikes Availability Analytics
+ *
+ * Aggregates a station's stored snapshots into occupancy profiles:
+ * mean/min/max available bikes per hour-of-day, day-of-week and
+ * hour-of-week, plus the share of time the station was empty or full.
+ * Hours and weekdays are computed in local time (Europe/Dublin by default).
+ *
+ * Storage only keeps a record when a station changes, so the full
+ * timeline is rebuilt with expandTimeline before aggregating: at every
+ * fetcher run the station is in the state of its last change.
+ */
+
+const DEFAULT_TIMEZONE = 'Europe/Dublin';
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      weekday: 'long',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Throws a RangeError for an unknown IANA time zone
+ */
+function validateTimeZone(timeZone) {
+  getFormatter(timeZone);
+  return timeZone;
+}
+
+/**
+ * Local hour (0-23) and weekday index (0 = Monday) of a date
+ */
+function localTimeParts(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = getFormatter(timeZone).formatToParts(date);
+  const hour = parseInt(parts.find(part => part.type === 'hour').value, 10);
+  const weekday = WEEKDAYS.indexOf(parts.find(part => part.type === 'weekday').value);
+  return { hour, weekday, hourOfWeek: weekday * 24 + hour };
+}
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function newBucket() {
+  return { samples: 0, sum: 0, min: Infinity, max: -Infinity, empty: 0, full: 0 };
+}
+
+function addSample(bucket, record) {
+  const bikes = record.available_bikes;
+  bucket.samples++;
+  bucket.sum += bikes;
+  bucket.min = Math.min(bucket.min, bikes);
+  bucket.max = Math.max(bucket.max, bikes);
+  if (bikes === 0) bucket.empty++;
+  if (record.available_bike_stands === 0) bucket.full++;
+}
+
+function finishBucket(bucket) {
+  if (bucket.samples === 0) {
+    return { samples: 0, meanBikes: null, minBikes: null, maxBikes: null, percentEmpty: null, percentFull: null };
+  }
+  return {
+    samples: bucket.samples,
+    meanBikes: round(bucket.sum / bucket.samples),
+    minBikes: bucket.min,
+    maxBikes: bucket.max,
+    percentEmpty: round(bucket.empty / bucket.samples * 100, 1),
+    percentFull: round(bucket.full / bucket.samples * 100, 1)
+  };
+}
+
+/**
+ * Rebuild one sample per fetcher run from sparse change records
+ * initialState: last change before the range (or null)
+ * changes: change records in the range, oldest first
+ * fetchTimes: ISO times of fetcher runs in the range
+ */
+function expandTimeline(initialState, changes, fetchTimes) {
+  const times = [...new Set([...fetchTimes, ...changes.map(change => change.fetched_at)])].sort();
+  const timeline = [];
+  let state = initialState;
+  let next = 0;
+
+  times.forEach(time => {
+    while (next < changes.length && changes[next].fetched_at <= time) {
+      state = changes[next];
+      next++;
+    }
+    if (state) {
+      timeline.push({
+        fetched_at: time,
+        last_update: state.last_update,
+        status: state.status,
+        available_bikes: state.available_bikes,
+        available_bike_stands: state.available_bike_stands,
+        bike_stands: state.bike_stands,
+        changed: state.fetched_at === time
+      });
+    }
+  });
+
+  return timeline;
+}
+
+/**
+ * Occupancy aggregates for a list of station snapshots
+ */
+function computeOccupancy(records, { timeZone = DEFAULT_TIMEZONE } = {}) {
+  const overall = newBucket();
+  const byHour = Array.from({ length: 24 }, newBucket);
+  const byWeekday = Array.from({ length: 7 }, newBucket);
+  const byHourOfWeek = Array.from({ length: 7 * 24 }, newBucket);
+
+  records.forEach(record => {
+    if (typeof record.available_bikes !== 'number') {
+      return;
+    }
+    const { hour, weekday, hourOfWeek } = localTimeParts(new Date(record.fetched_at), timeZone);
+    addSample(overall, record);
+    addSample(byHour[hour], record);
+    addSample(byWeekday[weekday], record);
+    addSample(byHourOfWeek[hourOfWeek], record);
+  });
+
+  return {
+    timeZone,
+    from: records.length > 0 ? records[0].fetched_at : null,
+    to: records.length > 0 ? records[records.length - 1].fetched_at : null,
+    overall: finishBucket(overall),
+    byHourOfDay: byHour.map((bucket, hour) => ({ hour, ...finishBucket(bucket) })),
+    byDayOfWeek: byWeekday.map((bucket, weekday) => ({ day: WEEKDAYS[weekday], ...finishBucket(bucket) })),
+    byHourOfWeek: byHourOfWeek
+      .map((bucket, index) => ({
+        day: WEEKDAYS[Math.floor(index / 24)],
+        hour: index % 24,
+        ...finishBucket(bucket)
+      }))
+      .filter(entry => entry.samples > 0)
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  WEEKDAYS,
+  validateTimeZone,
+  localTimeParts,
+  newBucket,
+  addSample,
+  finishBucket,
+  expandTimeline,
+  computeOccupancy
+};
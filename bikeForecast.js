@@ -0,0 +1,318 @@
+/**
+ * Bike Availability Forecasting
+ *
+ * Short-term forecasts of available bikes/stands for one station, blending
+ * two estimates per horizon h (minutes ahead):
+ * - trend: the current value extrapolated with the least-squares slope of
+ *   the last trendWindowMinutes
+ * - profile: the historical mean for the local hour-of-week at t + h
+ *   (falling back to hour-of-day when that hour has too few samples)
+ *
+ *   bikes(h) = w·(current + slope·h) + (1 − w)·profile(t + h),  w = 0.5^(h / halfLifeMinutes)
+ *
+ * so near horizons follow what the station is doing now and far ones its
+ * usual pattern. Predictions are clamped to [0, capacity] and stands are
+ * capacity minus bikes.
+ *
+ * Input is the per-fetcher-run timeline built by expandTimeline.
+ */
+
+const { DEFAULT_TIMEZONE, localTimeParts } = require('./bikeAnalytics');
+
+const FORECAST_DEFAULTS = {
+  horizons: [15, 30, 60],     // minutes ahead
+  historyDays: 28,            // history used for the hour-of-week profile
+  trendWindowMinutes: 30,
+  halfLifeMinutes: 30,        // horizon at which trend and profile weigh the same
+  minProfileSamples: 3,
+  stepMinutes: 15,            // backtest: time between forecast origins
+  maxStalenessMinutes: 10     // backtest: actuals further than this from t + h are skipped
+};
+
+const MAX_HORIZON_MINUTES = 24 * 60;
+const MINUTE_MS = 60 * 1000;
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function parseInteger(params, key, min, max, errors) {
+  if (params[key] === undefined) {
+    return undefined;
+  }
+  const value = Number(params[key]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    errors.push(`${key} must be an integer between ${min} and ${max}`);
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Forecast options from query parameters: ?horizons=15,30,60,
+ * ?historyDays=, ?stepMinutes= (backtest only)
+ * Returns { options, errors }
+ */
+function parseForecastQuery(params) {
+  const options = {};
+  const errors = [];
+
+  if (params.horizons !== undefined) {
+    const horizons = String(params.horizons).split(',').map(Number);
+    if (horizons.some(minutes => !Number.isInteger(minutes) || minutes < 1 || minutes > MAX_HORIZON_MINUTES)) {
+      errors.push(`horizons must be minutes between 1 and ${MAX_HORIZON_MINUTES}, e.g. 15,30,60`);
+    } else {
+      options.horizons = [...new Set(horizons)].sort((a, b) => a - b);
+    }
+  }
+
+  const historyDays = parseInteger(params, 'historyDays', 1, 365, errors);
+  if (historyDays !== undefined) options.historyDays = historyDays;
+
+  const stepMinutes = parseInteger(params, 'stepMinutes', 5, MAX_HORIZON_MINUTES, errors);
+  if (stepMinutes !== undefined) options.stepMinutes = stepMinutes;
+
+  return { options, errors };
+}
+
+/**
+ * Timeline samples as { time (ms), bikes, capacity }, oldest first
+ */
+function toSeries(timeline) {
+  return timeline
+    .filter(record => typeof record.available_bikes === 'number')
+    .map(record => ({
+      time: new Date(record.fetched_at).getTime(),
+      bikes: record.available_bikes,
+      capacity: typeof record.bike_stands === 'number' && record.bike_stands > 0
+        ? record.bike_stands
+        : record.available_bikes + (record.available_bike_stands || 0)
+    }));
+}
+
+/**
+ * Mean bikes per local hour-of-week and hour-of-day
+ */
+function buildProfile(series, timeZone) {
+  const byHourOfWeek = Array.from({ length: 7 * 24 }, () => ({ sum: 0, samples: 0 }));
+  const byHour = Array.from({ length: 24 }, () => ({ sum: 0, samples: 0 }));
+
+  series.forEach(sample => {
+    const { hour, hourOfWeek } = localTimeParts(new Date(sample.time), timeZone);
+    byHourOfWeek[hourOfWeek].sum += sample.bikes;
+    byHourOfWeek[hourOfWeek].samples++;
+    byHour[hour].sum += sample.bikes;
+    byHour[hour].samples++;
+  });
+
+  return { timeZone, byHourOfWeek, byHour };
+}
+
+/**
+ * Profile estimate for a time: { bikes, samples, level } or null
+ */
+function profileAt(profile, time, minSamples) {
+  const { hour, hourOfWeek } = localTimeParts(new Date(time), profile.timeZone);
+  const candidates = [
+    ['hourOfWeek', profile.byHourOfWeek[hourOfWeek]],
+    ['hourOfDay', profile.byHour[hour]]
+  ];
+
+  for (const [level, bucket] of candidates) {
+    if (bucket.samples >= minSamples) {
+      return { bikes: bucket.sum / bucket.samples, samples: bucket.samples, level };
+    }
+  }
+  return null;
+}
+
+/**
+ * Least-squares slope (bikes per minute) of the samples in the window
+ * ending at series[index]
+ */
+function trendAt(series, index, windowMinutes) {
+  const end = series[index].time;
+  const window = [];
+  for (let i = index; i >= 0 && series[i].time >= end - windowMinutes * MINUTE_MS; i--) {
+    window.push(series[i]);
+  }
+  if (window.length < 2) {
+    return { slope: 0, samples: window.length };
+  }
+
+  const meanT = window.reduce((sum, sample) => sum + (sample.time - end) / MINUTE_MS, 0) / window.length;
+  const meanB = window.reduce((sum, sample) => sum + sample.bikes, 0) / window.length;
+  let covariance = 0;
+  let variance = 0;
+  window.forEach(sample => {
+    const t = (sample.time - end) / MINUTE_MS - meanT;
+    covariance += t * (sample.bikes - meanB);
+    variance += t * t;
+  });
+
+  return { slope: variance > 0 ? covariance / variance : 0, samples: window.length };
+}
+
+/**
+ * Predicted bikes h minutes after series[index]
+ */
+function predictAt(series, index, minutes, profile, trend, options) {
+  const current = series[index];
+  const trendBikes = current.bikes + trend.slope * minutes;
+  const profileEstimate = profileAt(profile, current.time + minutes * MINUTE_MS, options.minProfileSamples);
+  const weight = profileEstimate ? 0.5 ** (minutes / options.halfLifeMinutes) : 1;
+  const blended = profileEstimate
+    ? weight * trendBikes + (1 - weight) * profileEstimate.bikes
+    : trendBikes;
+  const bikes = Math.min(Math.max(blended, 0), current.capacity);
+
+  return { bikes, trendBikes, profile: profileEstimate, weight };
+}
+
+/**
+ * Forecast from the latest sample of a station's timeline
+ * Returns null when the timeline is empty
+ */
+function forecastStation(timeline, overrides = {}) {
+  const options = { ...FORECAST_DEFAULTS, timeZone: DEFAULT_TIMEZONE, ...overrides };
+  const series = toSeries(timeline);
+  if (series.length === 0) {
+    return null;
+  }
+
+  const index = series.length - 1;
+  const current = series[index];
+  const profile = buildProfile(series, options.timeZone);
+  const trend = trendAt(series, index, options.trendWindowMinutes);
+
+  return {
+    timeZone: options.timeZone,
+    basedOn: new Date(current.time).toISOString(),
+    historyFrom: new Date(series[0].time).toISOString(),
+    historySamples: series.length,
+    current: {
+      bikes: current.bikes,
+      stands: current.capacity - current.bikes,
+      capacity: current.capacity
+    },
+    trend: {
+      bikesPerHour: round(trend.slope * 60),
+      samples: trend.samples
+    },
+    forecasts: options.horizons.map(minutes => {
+      const prediction = predictAt(series, index, minutes, profile, trend, options);
+      return {
+        minutes,
+        at: new Date(current.time + minutes * MINUTE_MS).toISOString(),
+        bikes: round(prediction.bikes, 1),
+        stands: round(current.capacity - prediction.bikes, 1),
+        trendBikes: round(prediction.trendBikes, 1),
+        profileBikes: prediction.profile ? round(prediction.profile.bikes, 1) : null,
+        profileLevel: prediction.profile ? prediction.profile.level : null,
+        trendWeight: round(prediction.weight)
+      };
+    })
+  };
+}
+
+/**
+ * Index of the last sample at or before time (binary search), or -1
+ */
+function lastIndexAtOrBefore(series, time) {
+  let low = 0;
+  let high = series.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (series[mid].time <= time) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Replay the forecaster over [from, to] and compare with what happened
+ * The profile is built only from samples before `from`, so the test never
+ * sees the values it predicts. Forecasts start every stepMinutes from the
+ * latest sample at that time; persistence (bikes stay as they are) is
+ * reported as a baseline.
+ */
+function backtestForecast(timeline, { from, to, ...overrides }) {
+  const options = { ...FORECAST_DEFAULTS, timeZone: DEFAULT_TIMEZONE, ...overrides };
+  const series = toSeries(timeline);
+  const fromMs = from.getTime();
+  const toMs = to.getTime();
+
+  const training = series.filter(sample => sample.time < fromMs);
+  const profile = buildProfile(training, options.timeZone);
+  const maxStalenessMs = options.maxStalenessMinutes * MINUTE_MS;
+
+  const errors = new Map(options.horizons.map(minutes => [minutes, {
+    samples: 0, absolute: 0, squared: 0, signed: 0, persistence: 0
+  }]));
+  let origins = 0;
+
+  for (let time = fromMs; time <= toMs; time += options.stepMinutes * MINUTE_MS) {
+    const index = lastIndexAtOrBefore(series, time);
+    if (index === -1 || time - series[index].time > maxStalenessMs) {
+      continue;
+    }
+    origins++;
+    const trend = trendAt(series, index, options.trendWindowMinutes);
+
+    options.horizons.forEach(minutes => {
+      const target = series[index].time + minutes * MINUTE_MS;
+      if (target > toMs) {
+        return;
+      }
+      const actualIndex = lastIndexAtOrBefore(series, target);
+      if (actualIndex <= index || target - series[actualIndex].time > maxStalenessMs) {
+        return;
+      }
+
+      const actual = series[actualIndex].bikes;
+      const error = predictAt(series, index, minutes, profile, trend, options).bikes - actual;
+      const bucket = errors.get(minutes);
+      bucket.samples++;
+      bucket.absolute += Math.abs(error);
+      bucket.squared += error * error;
+      bucket.signed += error;
+      bucket.persistence += Math.abs(series[index].bikes - actual);
+    });
+  }
+
+  return {
+    timeZone: options.timeZone,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    trainingSamples: training.length,
+    stepMinutes: options.stepMinutes,
+    origins,
+    horizons: options.horizons.map(minutes => {
+      const bucket = errors.get(minutes);
+      if (bucket.samples === 0) {
+        return { minutes, samples: 0, mae: null, rmse: null, bias: null, persistenceMae: null };
+      }
+      return {
+        minutes,
+        samples: bucket.samples,
+        mae: round(bucket.absolute / bucket.samples),
+        rmse: round(Math.sqrt(bucket.squared / bucket.samples)),
+        bias: round(bucket.signed / bucket.samples),
+        persistenceMae: round(bucket.persistence / bucket.samples)
+      };
+    })
+  };
+}
+
+module.exports = {
+  FORECAST_DEFAULTS,
+  parseForecastQuery,
+  forecastStation,
+  backtestForecast
+};
@@ -0,0 +1,270 @@
+/**
+ * Bike Share Providers
+ *
+ * Fetches station data from bike share feeds and normalises it into the
+ * station shape stored by the fetcher (station_number, position,
+ * available_bikes, ...). Supported providers:
+ * - jcdecaux: JCDecaux v1 API, one feed per contract (e.g. dublin, lyon)
+ * - gbfs: any General Bikeshare Feed Specification system, either via its
+ *         gbfs.json discovery URL or explicit station_information and
+ *         station_status URLs
+ *
+ * Feeds are configured with the BIKE_FEEDS env variable (JSON array) or
+ * a JSON file named by BIKE_FEEDS_FILE. Without either, only the Dublin
+ * JCDecaux feed is used.
+ */
+
+const fs = require('fs');
+
+const JCDECAUX_API_URL = 'https://api.jcdecaux.com/vls/v1/stations';
+const DEFAULT_SCHEDULE = '*/5 * * * *';
+
+const DEFAULT_FEEDS = [
+  {
+    id: 'dublin',
+    name: 'Dublin Bikes',
+    provider: 'jcdecaux',
+    contract: 'dublin'
+  }
+];
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// GET a JSON document, aborting after timeoutMs or when signal aborts
+// HTTP errors carry the response status so callers can decide to retry
+async function fetchJson(url, timeoutMs = DEFAULT_TIMEOUT_MS, signal = null) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  let response;
+  try {
+    response = await fetch(url, { signal: signal ? AbortSignal.any([timeout, signal]) : timeout });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`Request timed out after ${timeoutMs}ms`);
+    }
+    if (error.name === 'AbortError') {
+      const aborted = new Error('Request aborted');
+      aborted.retryable = false;
+      throw aborted;
+    }
+    throw error;
+  }
+
+  if (!response.ok) {
+    const error = new Error(`API returned status ${response.status}: ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+}
+
+/**
+ * JCDecaux v1 stations for one contract
+ */
+async function fetchJcdecauxStations(feed, signal) {
+  const apiKey = feed.apiKey || process.env[feed.apiKeyEnv || 'JCDECAUX_API_KEY'];
+  if (!apiKey) {
+    const error = new Error('Missing API key');
+    error.retryable = false;
+    throw error;
+  }
+
+  const url = `${feed.url || JCDECAUX_API_URL}?contract=${encodeURIComponent(feed.contract)}&apiKey=${encodeURIComponent(apiKey)}`;
+  const stations = await fetchJson(url, feed.timeoutMs, signal);
+
+  return stations.map(station => ({
+    station_number: station.number,
+    station_name: station.name,
+    address: station.address,
+    position: {
+      lat: station.position.lat,
+      lng: station.position.lng
+    },
+    banking: station.banking || false,
+    bonus: station.bonus || false,
+    bike_stands: station.bike_stands || 0,
+    available_bike_stands: station.available_bike_stands || 0,
+    available_bikes: station.available_bikes || 0,
+    status: station.status || 'UNKNOWN',
+    last_update: station.last_update ? new Date(station.last_update) : null
+  }));
+}
+
+/**
+ * Resolve station_information / station_status URLs from a gbfs.json
+ * discovery document (GBFS v2 nests feeds per language, v3 does not)
+ */
+async function discoverGbfsFeeds(feed, signal) {
+  if (feed.stationInformationUrl && feed.stationStatusUrl) {
+    return {
+      stationInformationUrl: feed.stationInformationUrl,
+      stationStatusUrl: feed.stationStatusUrl
+    };
+  }
+
+  const discovery = await fetchJson(feed.url, feed.timeoutMs, signal);
+  const data = discovery.data || {};
+  const feeds = data.feeds ||
+    (data[feed.language] || data.en || Object.values(data)[0] || {}).feeds ||
+    [];
+  const urlFor = name => (feeds.find(entry => entry.name === name) || {}).url;
+
+  const urls = {
+    stationInformationUrl: urlFor('station_information'),
+    stationStatusUrl: urlFor('station_status')
+  };
+
+  if (!urls.stationInformationUrl || !urls.stationStatusUrl) {
+    throw new Error('GBFS discovery feed has no station_information/station_status');
+  }
+
+  return urls;
+}
+
+// GBFS station ids are strings; keep numeric ids as numbers like JCDecaux
+function normaliseStationId(id) {
+  return /^\d+$/.test(String(id)) ? parseInt(id, 10) : String(id);
+}
+
+// GBFS v2 uses epoch seconds for last_reported, v3 uses ISO timestamps
+function parseLastReported(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+}
+
+// GBFS v3 names are localised arrays of { text, language }
+function localisedText(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value[0].text : null;
+  }
+  return value || null;
+}
+
+/**
+ * GBFS stations: station_information merged with station_status
+ */
+async function fetchGbfsStations(feed, signal) {
+  const { stationInformationUrl, stationStatusUrl } = await discoverGbfsFeeds(feed, signal);
+  const [information, status] = await Promise.all([
+    fetchJson(stationInformationUrl, feed.timeoutMs, signal),
+    fetchJson(stationStatusUrl, feed.timeoutMs, signal)
+  ]);
+
+  const statusById = new Map(
+    ((status.data && status.data.stations) || []).map(entry => [String(entry.station_id), entry])
+  );
+
+  return ((information.data && information.data.stations) || []).map(station => {
+    const current = statusById.get(String(station.station_id)) || {};
+    const open = current.is_installed !== false && current.is_renting !== false;
+    const bikes = current.num_bikes_available ?? current.num_vehicles_available ?? 0;
+    const docks = current.num_docks_available ?? 0;
+
+    return {
+      station_number: normaliseStationId(station.station_id),
+      station_name: localisedText(station.name),
+      address: station.address || null,
+      position: {
+        lat: station.lat,
+        lng: station.lon
+      },
+      banking: Array.isArray(station.rental_methods) && station.rental_methods.includes('creditcard'),
+      bonus: false,
+      bike_stands: station.capacity ?? bikes + docks,
+      available_bike_stands: docks,
+      available_bikes: bikes,
+      status: current.station_id === undefined ? 'UNKNOWN' : (open ? 'OPEN' : 'CLOSED'),
+      last_update: parseLastReported(current.last_reported)
+    };
+  });
+}
+
+const PROVIDERS = {
+  jcdecaux: fetchJcdecauxStations,
+  gbfs: fetchGbfsStations
+};
+
+/**
+ * Fetch and normalise a feed's stations, tagging each with its feed id
+ * signal aborts the requests (shutdown)
+ */
+async function fetchFeedStations(feed, { signal = null } = {}) {
+  const stations = await PROVIDERS[feed.provider](feed, signal);
+  return stations.map(station => ({
+    ...station,
+    feed_id: feed.id,
+    city: feed.name
+  }));
+}
+
+/**
+ * Validate a feed definition and fill in defaults
+ */
+function normaliseFeed(feed) {
+  if (!feed || !feed.id) {
+    throw new Error('Bike feed is missing an id');
+  }
+  if (!PROVIDERS[feed.provider]) {
+    throw new Error(`Bike feed "${feed.id}" has unknown provider "${feed.provider}"`);
+  }
+  if (feed.provider === 'jcdecaux' && !feed.contract) {
+    throw new Error(`Bike feed "${feed.id}" needs a JCDecaux contract`);
+  }
+  if (feed.provider === 'gbfs' && !feed.url && !(feed.stationInformationUrl && feed.stationStatusUrl)) {
+    throw new Error(`Bike feed "${feed.id}" needs a GBFS url`);
+  }
+
+  return {
+    name: feed.id,
+    schedule: DEFAULT_SCHEDULE,
+    enabled: true,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    ...feed
+  };
+}
+
+function parseFeedJson(text, source) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${source} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Configured feeds from BIKE_FEEDS / BIKE_FEEDS_FILE, or the Dublin default
+ * Throws when the configuration is invalid
+ */
+function loadFeedConfig() {
+  let feeds = DEFAULT_FEEDS;
+
+  if (process.env.BIKE_FEEDS) {
+    feeds = parseFeedJson(process.env.BIKE_FEEDS, 'BIKE_FEEDS');
+  } else if (process.env.BIKE_FEEDS_FILE) {
+    feeds = parseFeedJson(fs.readFileSync(process.env.BIKE_FEEDS_FILE, 'utf-8'), `BIKE_FEEDS_FILE ${process.env.BIKE_FEEDS_FILE}`);
+  }
+
+  if (!Array.isArray(feeds) || feeds.length === 0) {
+    throw new Error('Bike feed configuration must be a non-empty array');
+  }
+
+  const normalised = feeds.map(normaliseFeed);
+  const ids = new Set();
+  normalised.forEach(feed => {
+    if (ids.has(feed.id)) {
+      throw new Error(`Duplicate bike feed id "${feed.id}"`);
+    }
+    ids.add(feed.id);
+  });
+
+  return normalised.filter(feed => feed.enabled);
+}
+
+module.exports = {
+  JCDECAUX_API_URL,
+  PROVIDERS: Object.keys(PROVIDERS),
+  loadFeedConfig,
+  fetchFeedStations
+};
@@ -0,0 +1,113 @@
+/**
+ * Dublin Bikes Station Helpers
+ *
+ * Finds the stations closest to a location in a snapshot produced by
+ * the Dublin Bikes fetcher, with walking-distance estimates, and
+ * decides when a station's state changed enough to be stored.
+ */
+
+const { haversineDistance } = require('./geoUtils');
+
+// Streets are not straight lines: scale crow-flies distance to approximate a walk
+const WALKING_DETOUR_FACTOR = 1.3;
+const WALKING_SPEED = 1.4; // m/s (~5 km/h)
+
+const DEFAULT_OPTIONS = {
+  radius: 1000,   // metres
+  minBikes: 0,
+  minStands: 0,
+  limit: 10
+};
+
+/**
+ * Estimated walk to a point that is `distance` metres away as the crow flies
+ */
+function estimateWalk(distance) {
+  const walkingMeters = distance * WALKING_DETOUR_FACTOR;
+  return {
+    walkingDistanceMeters: Math.round(walkingMeters),
+    walkingMinutes: Math.round(walkingMeters / WALKING_SPEED / 60 * 10) / 10
+  };
+}
+
+/**
+ * Open stations within `radius` of lat/lng that meet the availability
+ * filters, closest first
+ */
+function findNearbyStations(stations, lat, lng, overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+
+  return stations
+    .filter(station => station.position && typeof station.position.lat === 'number')
+    .filter(station => station.status !== 'CLOSED')
+    .map(station => {
+      const distance = haversineDistance(lat, lng, station.position.lat, station.position.lng);
+      return {
+        feed_id: station.feed_id,
+        city: station.city,
+        station_number: station.station_number,
+        station_name: station.station_name,
+        address: station.address,
+        position: station.position,
+        status: station.status,
+        bike_stands: station.bike_stands,
+        available_bikes: station.available_bikes,
+        available_bike_stands: station.available_bike_stands,
+        last_update: station.last_update,
+        distanceMeters: Math.round(distance),
+        ...estimateWalk(distance)
+      };
+    })
+    .filter(station => station.distanceMeters <= options.radius)
+    .filter(station => station.available_bikes >= options.minBikes)
+    .filter(station => station.available_bike_stands >= options.minStands)
+    .sort((a, b) => a.distanceMeters - b.distanceMeters)
+    .slice(0, options.limit);
+}
+
+// Milliseconds for a Date, ISO string or Firestore Timestamp
+function toMillis(value) {
+  if (!value) {
+    return null;
+  }
+  if (typeof value.toMillis === 'function') {
+    return value.toMillis();
+  }
+  const millis = new Date(value).getTime();
+  return isNaN(millis) ? null : millis;
+}
+
+/**
+ * Unique station id across feeds, e.g. "dublin_42"
+ * Used as the latest-state document id and the station_key field
+ */
+function stationKey(station) {
+  return `${station.feed_id}_${station.station_number}`;
+}
+
+/**
+ * True when a fetched station differs from its last stored state:
+ * availability or status changed, or the station reported a newer last_update
+ */
+function hasStationChanged(previous, station) {
+  if (!previous) {
+    return true;
+  }
+  if (previous.available_bikes !== station.available_bikes ||
+      previous.available_bike_stands !== station.available_bike_stands ||
+      previous.status !== station.status) {
+    return true;
+  }
+  const previousUpdate = toMillis(previous.last_update);
+  const currentUpdate = toMillis(station.last_update);
+  return currentUpdate !== null && (previousUpdate === null || currentUpdate > previousUpdate);
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  stationKey,
+  toMillis,
+  hasStationChanged,
+  estimateWalk,
+  findNearbyStations
+};
@@ -0,0 +1,244 @@
+/**
+ * Bike Share Usage Detection
+ *
+ * Joins a session's trajectory with stored station availability to find
+ * probable bike share rentals. A ride is a stretch of the session the mode
+ * classifier labels cycling (short interruptions, e.g. traffic lights,
+ * are bridged). For each ride:
+ * - pickup: a station near where the ride starts whose available_bikes
+ *   dropped around the start time
+ * - dropoff: a station near where the ride ends whose available_bikes
+ *   rose around the end time
+ *
+ * Station changes are only seen once per fetcher run (every 5 minutes for
+ * Dublin Bikes), so a change is timed by the station's last_update when it
+ * falls between the two fetches that saw it, otherwise by the fetch time.
+ *
+ * Each end scores timing × (0.5 + 0.5 × proximity), where timing and
+ * proximity fall linearly to 0 at windowMinutes and radius. The ride's
+ * confidence is
+ *
+ *   0.2 · movement + 0.4 · pickup + 0.4 · dropoff
+ *
+ * with movement the classifier's cycling confidence. A ride is a probable
+ * rental when both ends matched and confidence reaches minConfidence.
+ */
+
+const { pointDistance, hasPosition } = require('./geoUtils');
+const { toMillis } = require('./bikeStations');
+
+const BIKE_USAGE_DEFAULTS = {
+  radius: 150,            // metres between a ride end and a station
+  windowMinutes: 10,      // allowed time between a ride end and a station change
+  maxStations: 3,         // closest stations checked per ride end
+  fetchLagMinutes: 10,    // a change is stored by a later fetcher run, up to this much later
+  maxGapSeconds: 90,      // non-cycling stretches bridged inside a ride
+  minRideSeconds: 120,
+  minRideMeters: 300,
+  minConfidence: 0.6
+};
+
+const WEIGHTS = {
+  movement: 0.2,
+  pickup: 0.4,
+  dropoff: 0.4
+};
+
+const MINUTE_MS = 60 * 1000;
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function parseNumber(params, key, min, max, errors) {
+  if (params[key] === undefined) {
+    return undefined;
+  }
+  const value = Number(params[key]);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    errors.push(`${key} must be a number between ${min} and ${max}`);
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Detection options from query parameters: ?radius=, ?windowMinutes=,
+ * ?minConfidence=
+ * Returns { options, errors }
+ */
+function parseBikeUsageQuery(params) {
+  const options = {};
+  const errors = [];
+
+  const radius = parseNumber(params, 'radius', 10, 1000, errors);
+  if (radius !== undefined) options.radius = radius;
+
+  const windowMinutes = parseNumber(params, 'windowMinutes', 1, 60, errors);
+  if (windowMinutes !== undefined) options.windowMinutes = windowMinutes;
+
+  const minConfidence = parseNumber(params, 'minConfidence', 0, 1, errors);
+  if (minConfidence !== undefined) options.minConfidence = minConfidence;
+
+  return { options, errors };
+}
+
+/**
+ * Cycling rides from the mode segments of sorted points
+ * Returns [{ startTimestamp, endTimestamp, start, end, distanceMeters, durationSeconds, movementConfidence }]
+ */
+function findRides(points, segments, overrides = {}) {
+  const options = { ...BIKE_USAGE_DEFAULTS, ...overrides };
+  const groups = [];
+
+  segments.filter(segment => segment.mode === 'cycling').forEach(segment => {
+    const last = groups[groups.length - 1];
+    if (last && segment.startTimestamp - last[last.length - 1].endTimestamp <= options.maxGapSeconds * 1000) {
+      last.push(segment);
+    } else {
+      groups.push([segment]);
+    }
+  });
+
+  return groups
+    .map(group => {
+      const startTimestamp = group[0].startTimestamp;
+      const endTimestamp = group[group.length - 1].endTimestamp;
+      const fixes = points.filter(point => hasPosition(point) &&
+        point.timestamp >= startTimestamp && point.timestamp <= endTimestamp);
+
+      let distance = 0;
+      for (let i = 1; i < fixes.length; i++) {
+        distance += pointDistance(fixes[i - 1], fixes[i]);
+      }
+
+      // Duration-weighted, so a short uncertain segment counts for little
+      const cyclingSeconds = group.reduce((sum, segment) => sum + segment.durationSeconds, 0);
+      const movementConfidence = cyclingSeconds > 0
+        ? group.reduce((sum, segment) => sum + segment.confidence * segment.durationSeconds, 0) / cyclingSeconds
+        : group[0].confidence;
+
+      return {
+        startTimestamp,
+        endTimestamp,
+        start: fixes[0],
+        end: fixes[fixes.length - 1],
+        distanceMeters: round(distance, 1),
+        durationSeconds: round((endTimestamp - startTimestamp) / 1000, 1),
+        movementConfidence: round(movementConfidence)
+      };
+    })
+    .filter(ride => ride.start && ride.end)
+    .filter(ride => ride.durationSeconds >= options.minRideSeconds && ride.distanceMeters >= options.minRideMeters);
+}
+
+/**
+ * When a change between two consecutive station records happened
+ */
+function changeTime(previous, record) {
+  const fetchedAt = toMillis(record.fetched_at);
+  const lastUpdate = toMillis(record.last_update);
+  const previousFetch = toMillis(previous.fetched_at);
+  return lastUpdate !== null && lastUpdate > previousFetch && lastUpdate <= fetchedAt ? lastUpdate : fetchedAt;
+}
+
+/**
+ * Best-scoring availability change of one station around a ride end
+ * records: the station's state before the window followed by its change
+ * records, oldest first; direction: -1 for a pickup, 1 for a dropoff
+ */
+function matchStation(station, records, time, direction, options) {
+  const windowMs = options.windowMinutes * MINUTE_MS;
+  const proximity = Math.max(0, 1 - station.distanceMeters / options.radius);
+  let best = null;
+
+  for (let i = 1; i < records.length; i++) {
+    const previous = records[i - 1];
+    const record = records[i];
+    if (typeof previous.available_bikes !== 'number' || typeof record.available_bikes !== 'number') {
+      continue;
+    }
+
+    const change = record.available_bikes - previous.available_bikes;
+    if (Math.sign(change) !== direction) {
+      continue;
+    }
+
+    const changedAt = changeTime(previous, record);
+    const offset = changedAt - time;
+    if (Math.abs(offset) > windowMs) {
+      continue;
+    }
+
+    const timing = 1 - Math.abs(offset) / windowMs;
+    const score = timing * (0.5 + 0.5 * proximity);
+    if (!best || score > best.score) {
+      best = {
+        station: {
+          feed_id: station.feed_id,
+          station_number: station.station_number,
+          station_name: station.station_name,
+          position: station.position,
+          distanceMeters: station.distanceMeters
+        },
+        bikesBefore: previous.available_bikes,
+        bikesAfter: record.available_bikes,
+        change,
+        changedAt: new Date(changedAt).toISOString(),
+        offsetSeconds: Math.round(offset / 1000),
+        score
+      };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Best match over the candidate stations of one ride end
+ * candidates: [{ station (from findNearbyStations), records }]
+ */
+function matchEnd(candidates, time, direction, options) {
+  return candidates
+    .map(({ station, records }) => matchStation(station, records, time, direction, options))
+    .filter(Boolean)
+    .reduce((best, match) => (!best || match.score > best.score ? match : best), null);
+}
+
+/**
+ * Score a ride against the stations near its start and end
+ * Returns the ride with pickup, dropoff, confidence and probable
+ */
+function scoreRide(ride, { pickupCandidates, dropoffCandidates }, overrides = {}) {
+  const options = { ...BIKE_USAGE_DEFAULTS, ...overrides };
+  const pickup = matchEnd(pickupCandidates, ride.startTimestamp, -1, options);
+  const dropoff = matchEnd(dropoffCandidates, ride.endTimestamp, 1, options);
+
+  const confidence = WEIGHTS.movement * ride.movementConfidence +
+    WEIGHTS.pickup * (pickup ? pickup.score : 0) +
+    WEIGHTS.dropoff * (dropoff ? dropoff.score : 0);
+
+  const withScore = match => (match ? { ...match, score: round(match.score) } : null);
+
+  return {
+    startTime: new Date(ride.startTimestamp).toISOString(),
+    endTime: new Date(ride.endTimestamp).toISOString(),
+    durationSeconds: ride.durationSeconds,
+    distanceMeters: ride.distanceMeters,
+    start: { latitude: ride.start.latitude, longitude: ride.start.longitude },
+    end: { latitude: ride.end.latitude, longitude: ride.end.longitude },
+    movementConfidence: ride.movementConfidence,
+    pickup: withScore(pickup),
+    dropoff: withScore(dropoff),
+    confidence: round(confidence),
+    probable: Boolean(pickup && dropoff) && confidence >= options.minConfidence
+  };
+}
+
+module.exports = {
+  BIKE_USAGE_DEFAULTS,
+  parseBikeUsageQuery,
+  findRides,
+  scoreRide
+};
@@ -1,155 +1,514 @@
 /**
  * Dublin Bikes Data Fetcher
- * 
- * Fetches real-time bike availability data from JCDecaux API
- * Runs every 5 minutes and stores data to Firebase Firestore
- * 
+ *
+ * Fetches real-time bike availability data for every configured bike
+ * share feed (Dublin Bikes via JCDecaux by default, plus any other
+ * JCDecaux contracts or GBFS systems listed in BIKE_FEEDS).
+ * Each feed runs on its own cron schedule (every 5 minutes by default),
+ * keeps its own stats and stores data to the configured storage backend.
+ *
+ * Resilience, per feed:
+ * - each request times out (feed.timeoutMs, default 10s)
+ * - failed fetches are retried with exponential backoff (feed.retries)
+ * - after feed.failureThreshold consecutive failed runs a circuit breaker
+ *   opens and scheduled runs are skipped for feed.cooldownMs; the next
+ *   run after the cooldown is a trial that closes or re-opens it
+ * - the last RUN_HISTORY_SIZE runs are kept in a ring buffer
+ * - on shutdown, requests in flight are aborted and pending retries skipped
+ * Feeds can be paused, resumed and rescheduled at runtime.
+ *
  * API: https://developer.jcdecaux.com/
  */
 
 const cron = require('node-cron');
-const { addDublinBikesData } = require('./firebaseConfig');
+const { getStorage } = require('./storage');
+const { loadFeedConfig, fetchFeedStations, JCDECAUX_API_URL } = require('./bikeProviders');
+const { stationKey } = require('./bikeStations');
+const { publish } = require('./liveEvents');
+const { logger } = require('./logger');
+const { fetcherRuns, fetcherDuration } = require('./metrics');
 
-// JCDecaux API configuration
-const JCDECAUX_API_KEY = process.env.JCDECAUX_API_KEY;
-const JCDECAUX_API_URL = 'https://api.jcdecaux.com/vls/v1/stations';
-const CONTRACT_NAME = 'dublin'; // Dublin Bikes contract name
+const RUN_HISTORY_SIZE = 50;
 
-// Statistics
-let fetchCount = 0;
-let lastFetchTime = null;
-let lastFetchStatus = 'Not started';
+const RESILIENCE_DEFAULTS = {
+  retries: 3,               // extra attempts after the first failure
+  backoffMs: 1000,          // first retry delay, doubled each attempt
+  failureThreshold: 5,      // consecutive failed runs before the circuit opens
+  cooldownMs: 15 * 60 * 1000
+};
+
+// feedId -> feed state (see createFeedState)
+const feedStates = new Map();
+
+// Aborted by stopDublinBikesFetcher so shutdown does not wait out retries
+const shutdownController = new AbortController();
+
+function createFeedState(feed) {
+  return {
+    feed: { ...RESILIENCE_DEFAULTS, ...feed },
+    fetchCount: 0,
+    lastFetchTime: null,
+    lastFetchStatus: 'Not started',
+    task: null,
+    paused: false,
+    inFlight: false,
+    currentRun: null,             // promise of the run in flight
+    consecutiveFailures: 0,
+    circuitOpenedAt: null,
+    runs: []
+  };
+}
 
 /**
- * Fetch Dublin Bikes data from JCDecaux API
+ * Parse and validate the feed configuration; called once at startup,
+ * later calls return the loaded feeds. Throws when it is invalid
  */
-async function fetchDublinBikes() {
-  if (!JCDECAUX_API_KEY) {
-    console.error('❌ JCDECAUX_API_KEY not found in environment variables');
-    lastFetchStatus = 'Error: Missing API key';
-    return { success: false, error: 'Missing API key' };
+function loadFeeds() {
+  if (feedStates.size === 0) {
+    const feeds = loadFeedConfig();
+    feeds.forEach(feed => {
+      if (!cron.validate(feed.schedule)) {
+        throw new Error(`Invalid cron schedule "${feed.schedule}" for bike feed "${feed.id}"`);
+      }
+    });
+    feeds.forEach(feed => feedStates.set(feed.id, createFeedState(feed)));
   }
+  return feedStates;
+}
 
-  try {
-    console.log('🚴 Fetching Dublin Bikes data...');
-    
-    const url = `${JCDECAUX_API_URL}?contract=${CONTRACT_NAME}&apiKey=${JCDECAUX_API_KEY}`;
-    
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`API returned status ${response.status}: ${response.statusText}`);
+function getFeedStates() {
+  return loadFeeds();
+}
+
+/**
+ * Ids and names of the configured feeds (the first one is the default)
+ */
+function getFeeds() {
+  return [...getFeedStates().values()].map(({ feed }) => ({
+    id: feed.id,
+    name: feed.name,
+    provider: feed.provider,
+    contract: feed.contract,
+    schedule: feed.schedule
+  }));
+}
+
+function getDefaultFeedId() {
+  return getFeedStates().keys().next().value;
+}
+
+/**
+ * States for one feed id, or all feeds when feedId is null
+ * Throws for an unknown feed id
+ */
+function selectFeedStates(feedId) {
+  const states = [...getFeedStates().values()]
+    .filter(state => !feedId || state.feed.id === feedId);
+
+  if (states.length === 0) {
+    throw new Error(`Unknown bike feed "${feedId}"`);
+  }
+  return states;
+}
+
+// Resolves after ms, or as soon as signal aborts
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Missing keys and 4xx responses (other than 429) will not succeed on retry
+function isRetryable(error) {
+  if (error.retryable === false) {
+    return false;
+  }
+  return !error.status || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Fetch a feed's stations, retrying with exponential backoff and jitter
+ */
+async function fetchWithRetry(feed) {
+  const { signal } = shutdownController;
+  let attempt = 0;
+
+  while (true) {
+    attempt++;
+    try {
+      const stations = await fetchFeedStations(feed, { signal });
+      return { stations, attempts: attempt };
+    } catch (error) {
+      if (signal.aborted) {
+        const aborted = new Error('Fetch aborted: server shutting down');
+        aborted.attempts = attempt;
+        throw aborted;
+      }
+      if (attempt > feed.retries || !isRetryable(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = feed.backoffMs * 2 ** (attempt - 1) * (0.5 + Math.random() / 2);
+      logger.warn('Bike feed fetch failed, retrying', {
+        feedId: feed.id,
+        error: error.message,
+        attempt,
+        retries: feed.retries,
+        delayMs: Math.round(delay)
+      });
+      await sleep(delay, signal);
     }
-    
-    const stations = await response.json();
-    
-    console.log(`📊 Received ${stations.length} Dublin Bikes stations`);
-    
-    // Transform data for our needs
-    const transformedStations = stations.map(station => ({
-      station_number: station.number,
-      station_name: station.name,
-      address: station.address,
-      position: {
-        lat: station.position.lat,
-        lng: station.position.lng
-      },
-      banking: station.banking || false,
-      bonus: station.bonus || false,
-      bike_stands: station.bike_stands || 0,
-      available_bike_stands: station.available_bike_stands || 0,
-      available_bikes: station.available_bikes || 0,
-      status: station.status || 'UNKNOWN',
-      last_update: station.last_update ? new Date(station.last_update) : null
-    }));
-    
-    // Save to Firestore
-    const result = await addDublinBikesData(transformedStations);
-    
+  }
+}
+
+/**
+ * closed: normal; open: failing, runs skipped; half-open: cooldown over, next run is a trial
+ */
+function circuitState(state) {
+  if (!state.circuitOpenedAt) {
+    return 'closed';
+  }
+  return Date.now() - state.circuitOpenedAt >= state.feed.cooldownMs ? 'half-open' : 'open';
+}
+
+function recordRun(state, run) {
+  state.runs.push(run);
+  if (state.runs.length > RUN_HISTORY_SIZE) {
+    state.runs.shift();
+  }
+}
+
+function recordSuccess(state) {
+  if (state.circuitOpenedAt) {
+    logger.info('Bike feed circuit closed', { feedId: state.feed.id });
+  }
+  state.consecutiveFailures = 0;
+  state.circuitOpenedAt = null;
+}
+
+function recordFailure(state) {
+  state.consecutiveFailures++;
+  const trialFailed = circuitState(state) === 'half-open';
+  if (trialFailed || state.consecutiveFailures >= state.feed.failureThreshold) {
+    state.circuitOpenedAt = Date.now();
+    logger.error('Bike feed circuit opened', {
+      feedId: state.feed.id,
+      consecutiveFailures: state.consecutiveFailures,
+      cooldownMs: state.feed.cooldownMs
+    });
+  }
+}
+
+/**
+ * Push the stations that changed in a run to live bike stream subscribers
+ */
+function publishStationUpdates(feed, stations, result) {
+  const changedKeys = new Set(result.changedKeys || []);
+  publish('bikes', 'stations', {
+    feedId: feed.id,
+    city: feed.name,
+    fetchedAt: result.timestamp,
+    stationCount: stations.length,
+    stations: stations
+      .filter(station => changedKeys.has(stationKey(station)))
+      .map(station => ({ ...station, station_key: stationKey(station) }))
+  });
+}
+
+/**
+ * Fetch one feed and store its stations
+ * trigger: 'startup' | 'schedule' | 'manual'; manual runs bypass the circuit breaker
+ */
+async function fetchFeed(state, trigger = 'manual') {
+  const { feed } = state;
+  const startedAt = new Date();
+
+  if (trigger !== 'manual' && circuitState(state) === 'open') {
+    recordRun(state, { startedAt: startedAt.toISOString(), trigger, skipped: 'circuit open' });
+    fetcherRuns.inc({ feed: feed.id, trigger, result: 'skipped' });
+    return { success: false, feedId: feed.id, error: 'Circuit open: fetching paused after repeated failures' };
+  }
+  if (state.inFlight) {
+    recordRun(state, { startedAt: startedAt.toISOString(), trigger, skipped: 'previous run still in progress' });
+    fetcherRuns.inc({ feed: feed.id, trigger, result: 'skipped' });
+    return { success: false, feedId: feed.id, error: 'A fetch is already in progress' };
+  }
+
+  state.inFlight = true;
+  state.currentRun = runFeed(state, trigger, startedAt);
+  return state.currentRun;
+}
+
+async function runFeed(state, trigger, startedAt) {
+  const { feed } = state;
+  const run = { startedAt: startedAt.toISOString(), trigger };
+
+  try {
+    logger.debug('Fetching bike feed', { feedId: feed.id, trigger });
+
+    const { stations, attempts } = await fetchWithRetry(feed);
+    run.attempts = attempts;
+    run.stationsCount = stations.length;
+
+    logger.debug('Received bike stations', { feedId: feed.id, stations: stations.length });
+
+    // Save to storage (Firestore or local files)
+    const result = await getStorage().addDublinBikesData(stations, { feedId: feed.id });
+
     if (result.success) {
-      fetchCount++;
-      lastFetchTime = new Date().toISOString();
-      lastFetchStatus = `Success: ${transformedStations.length} stations`;
-      
-      console.log(`✅ Successfully stored Dublin Bikes data (Fetch #${fetchCount})`);
-      
+      state.fetchCount++;
+      state.lastFetchTime = new Date().toISOString();
+      state.lastFetchStatus = `Success: ${stations.length} stations`;
+      run.success = true;
+      run.changedCount = result.stationsAdded;
+      recordSuccess(state);
+      publishStationUpdates(feed, stations, result);
+
+      logger.info('Bike feed fetched', {
+        feedId: feed.id,
+        trigger,
+        stations: stations.length,
+        changed: result.stationsAdded,
+        fetchCount: state.fetchCount
+      });
+
       return {
         success: true,
-        stationsCount: transformedStations.length,
-        fetchCount: fetchCount
+        feedId: feed.id,
+        stationsCount: stations.length,
+        fetchCount: state.fetchCount
       };
     } else {
-      lastFetchStatus = `Error: ${result.error}`;
-      return result;
+      state.lastFetchStatus = `Error: ${result.error}`;
+      run.success = false;
+      run.error = result.error;
+      recordFailure(state);
+      return { ...result, feedId: feed.id };
     }
-    
+
   } catch (error) {
-    console.error('❌ Error fetching Dublin Bikes data:', error.message);
-    lastFetchStatus = `Error: ${error.message}`;
+    logger.error('Error fetching bike feed', { feedId: feed.id, trigger, error: error.message });
+    state.lastFetchStatus = `Error: ${error.message}`;
+    run.success = false;
+    run.attempts = error.attempts;
+    run.error = error.message;
+    recordFailure(state);
     return {
       success: false,
+      feedId: feed.id,
       error: error.message
     };
+  } finally {
+    state.inFlight = false;
+    run.durationMs = Date.now() - startedAt.getTime();
+    recordRun(state, run);
+    fetcherRuns.inc({ feed: feed.id, trigger, result: run.success ? 'success' : 'failure' });
+    fetcherDuration.observe({ feed: feed.id }, run.durationMs / 1000);
+  }
+}
+
+/**
+ * Fetch every configured feed (or just one when feedId is given)
+ */
+async function fetchDublinBikes(feedId = null, trigger = 'manual') {
+  let states;
+  try {
+    states = selectFeedStates(feedId);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  const results = await Promise.all(states.map(state => fetchFeed(state, trigger)));
+
+  if (results.length === 1) {
+    return results[0];
   }
+
+  const failed = results.filter(result => !result.success);
+  return {
+    success: failed.length === 0,
+    stationsCount: results.reduce((sum, result) => sum + (result.stationsCount || 0), 0),
+    error: failed.length > 0 ? failed.map(result => `${result.feedId}: ${result.error}`).join('; ') : undefined,
+    feeds: results
+  };
+}
+
+function scheduleFeed(state) {
+  const { feed } = state;
+  // Cron format: '*/5 * * * *' means "every 5 minutes"
+  state.task = cron.schedule(feed.schedule, async () => {
+    await fetchFeed(state, 'schedule');
+  });
+  return state.task;
 }
 
 /**
- * Initialize Dublin Bikes fetcher with cron schedule
- * Runs every 5 minutes
+ * Initialize the fetcher with one cron schedule per feed
+ * Returns the scheduled cron tasks
  */
 function startDublinBikesFetcher() {
-  console.log('🕐 Starting Dublin Bikes fetcher...');
-  console.log('📅 Schedule: Every 5 minutes');
-  
-  // Fetch immediately on start
-  fetchDublinBikes()
-    .then(result => {
-      if (result.success) {
-        console.log('✅ Initial fetch completed successfully');
-      } else {
-        console.log('⚠️ Initial fetch failed:', result.error);
+  const tasks = [...getFeedStates().values()].map(state => {
+    const { feed } = state;
+
+    logger.info('Bike feed scheduled', { feedId: feed.id, provider: feed.provider, schedule: feed.schedule });
+
+    // Fetch immediately on start
+    fetchFeed(state, 'startup')
+      .then(result => {
+        if (!result.success) {
+          logger.warn('Initial bike feed fetch failed', { feedId: feed.id, error: result.error });
+        }
+      });
+
+    return scheduleFeed(state);
+  });
+
+  return tasks;
+}
+
+/**
+ * Stop every feed's cron task, abort runs in flight and wait for them
+ * Used on shutdown; the fetcher is not meant to be started again
+ */
+async function stopDublinBikesFetcher() {
+  const states = [...getFeedStates().values()];
+  states.forEach(state => {
+    if (state.task) {
+      state.task.stop();
+      state.task = null;
+    }
+  });
+  shutdownController.abort();
+  await Promise.all(states.filter(state => state.inFlight).map(state => state.currentRun));
+}
+
+/**
+ * Pause scheduled fetches for one feed (or all)
+ */
+function pauseFetcher(feedId = null) {
+  const states = selectFeedStates(feedId);
+  states.forEach(state => {
+    if (state.task) {
+      state.task.stop();
+    }
+    state.paused = true;
+    logger.info('Bike feed paused', { feedId: state.feed.id });
+  });
+  return states.map(describeFeedState);
+}
+
+/**
+ * Resume scheduled fetches for one feed (or all); also closes an open circuit
+ */
+function resumeFetcher(feedId = null) {
+  const states = selectFeedStates(feedId);
+  states.forEach(state => {
+    if (state.task) {
+      state.task.start();
+    }
+    state.paused = false;
+    state.consecutiveFailures = 0;
+    state.circuitOpenedAt = null;
+    logger.info('Bike feed resumed', { feedId: state.feed.id });
+  });
+  return states.map(describeFeedState);
+}
+
+/**
+ * Replace a feed's (or every feed's) cron schedule at runtime
+ */
+function setFetcherSchedule(schedule, feedId = null) {
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid cron schedule "${schedule}"`);
+  }
+
+  const states = selectFeedStates(feedId);
+  states.forEach(state => {
+    state.feed.schedule = schedule;
+    if (state.task) {
+      state.task.destroy();
+      scheduleFeed(state);
+      if (state.paused) {
+        state.task.stop();
       }
-    });
-  
-  // Schedule to run every 5 minutes
-  // Cron format: '*/5 * * * *' means "every 5 minutes"
-  const task = cron.schedule('*/5 * * * *', async () => {
-    console.log('\n⏰ Scheduled fetch triggered at', new Date().toISOString());
-    await fetchDublinBikes();
+    }
+    logger.info('Bike feed rescheduled', { feedId: state.feed.id, schedule });
   });
-  
-  console.log('✅ Dublin Bikes fetcher started successfully');
-  
-  return task;
+  return states.map(describeFeedState);
+}
+
+/**
+ * Recent runs of a feed, newest first
+ */
+function getFetcherRuns(feedId, limit = RUN_HISTORY_SIZE) {
+  const [state] = selectFeedStates(feedId);
+  return [...state.runs].reverse().slice(0, limit);
+}
+
+function describeFeedState(state) {
+  const lastRun = state.runs[state.runs.length - 1] || null;
+  return {
+    feedId: state.feed.id,
+    name: state.feed.name,
+    provider: state.feed.provider,
+    fetchCount: state.fetchCount,
+    lastFetchTime: state.lastFetchTime,
+    lastFetchStatus: state.lastFetchStatus,
+    isRunning: state.task !== null && !state.paused,
+    paused: state.paused,
+    inFlight: state.inFlight,
+    schedule: state.feed.schedule,
+    circuit: circuitState(state),
+    consecutiveFailures: state.consecutiveFailures,
+    circuitOpenedAt: state.circuitOpenedAt ? new Date(state.circuitOpenedAt).toISOString() : null,
+    lastRun,
+    apiEndpoint: state.feed.provider === 'jcdecaux' ? (state.feed.url || JCDECAUX_API_URL) : state.feed.url,
+    contractName: state.feed.contract
+  };
 }
 
 /**
- * Get fetcher statistics
+ * Get fetcher statistics, per feed and in total
  */
 function getFetcherStats() {
+  const feeds = [...getFeedStates().values()].map(describeFeedState);
+
   return {
-    fetchCount,
-    lastFetchTime,
-    lastFetchStatus,
-    isRunning: true,
-    schedule: 'Every 5 minutes',
-    apiEndpoint: JCDECAUX_API_URL,
-    contractName: CONTRACT_NAME
+    fetchCount: feeds.reduce((sum, feed) => sum + feed.fetchCount, 0),
+    lastFetchTime: feeds.map(feed => feed.lastFetchTime).filter(Boolean).sort().pop() || null,
+    isRunning: feeds.some(feed => feed.isRunning),
+    feeds
   };
 }
 
 /**
  * Manual fetch trigger (for testing)
  */
-async function triggerManualFetch() {
-  console.log('🔧 Manual fetch triggered');
-  return await fetchDublinBikes();
+async function triggerManualFetch(feedId = null) {
+  return await fetchDublinBikes(feedId, 'manual');
 }
 
 // Export functions
 module.exports = {
   startDublinBikesFetcher,
+  stopDublinBikesFetcher,
   fetchDublinBikes,
+  loadFeeds,
+  getFeeds,
+  getDefaultFeedId,
   getFetcherStats,
+  getFetcherRuns,
+  pauseFetcher,
+  resumeFetcher,
+  setFetcherSchedule,
   triggerManualFetch
-};
\ No newline at end of file
+};
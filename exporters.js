@@ -0,0 +1,297 @@
+/**
+ * Session Exporters
+ *
+ * Turns a list of sensor points into downloadable files:
+ * - csv: the original fixed-column layout plus the detected transport mode
+ * - gpx: GPX 1.1 track with speed/course in Garmin's TrackPointExtension
+ *        and accuracy/accelerometer values in a sensor: extension namespace
+ * - geojson: FeatureCollection with a LineString track plus one Point per fix
+ * - kml: Google Earth gx:Track with per-fix ExtendedData arrays
+ *
+ * GPX, GeoJSON and KML only include points that have coordinates.
+ * Sensor channels (options.channels, see sensorChannels.js) are added as
+ * extra CSV columns after `mode`, sensor: GPX extensions, GeoJSON
+ * properties and KML arrays.
+ */
+
+const { hasPosition } = require('./geoUtils');
+
+const CREATOR = 'sensor-data-backend';
+const SENSOR_NS = 'urn:sensor-data-backend:gpx:1';
+
+const CSV_HEADERS = [
+  'timestamp',
+  'datetime',
+  'seconds_elapsed',
+  'latitude',
+  'longitude',
+  'altitude',
+  'speed',
+  'accuracy',
+  'heading',
+  'accel_x',
+  'accel_y',
+  'accel_z',
+  'accel_magnitude',
+  'mode'
+];
+
+// Per-fix values carried as extensions/properties in the track formats
+const EXTRA_FIELDS = ['speed', 'accuracy', 'heading', 'accel_x', 'accel_y', 'accel_z', 'accel_magnitude', 'mode'];
+
+// Non-numeric extra fields (typed as strings in the KML schema)
+const STRING_FIELDS = ['mode'];
+
+function sortByTimestamp(points) {
+  return [...points].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function isoTime(timestamp) {
+  return new Date(timestamp).toISOString();
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// RFC 4180 cell: quoted when it holds a quote, a line break or any
+// delimiter importers.js may detect, with quotes doubled
+function csvCell(value) {
+  const text = String(value);
+  return /[",;\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function channelNames(channels = []) {
+  return channels.map(channel => channel.name);
+}
+
+/**
+ * CSV export (original column layout, then one column per channel)
+ */
+function toCsv(points, { channels } = {}) {
+  const sortedData = sortByTimestamp(points);
+  const names = channelNames(channels);
+
+  let csv = [...CSV_HEADERS, ...names].map(csvCell).join(',') + '\n';
+
+  const startTime = sortedData[0].timestamp;
+
+  sortedData.forEach(point => {
+    const row = [
+      point.timestamp,
+      isoTime(point.timestamp),
+      ((point.timestamp - startTime) / 1000).toFixed(3),
+      // Point fields after the three time columns; 0 is a value, not empty
+      ...[...CSV_HEADERS.slice(3), ...names].map(field => (hasValue(point[field]) ? point[field] : ''))
+    ];
+    csv += row.map(csvCell).join(',') + '\n';
+  });
+
+  return csv;
+}
+
+/**
+ * GPX 1.1 export
+ */
+function toGpx(points, { sessionId, channels } = {}) {
+  const fixes = sortByTimestamp(points).filter(hasPosition);
+  const name = `Session ${sessionId || ''}`.trim();
+  const sensorFields = ['accuracy', 'accel_x', 'accel_y', 'accel_z', 'accel_magnitude', 'mode', ...channelNames(channels)];
+
+  const trackPoints = fixes.map(point => {
+    const lines = [`      <trkpt lat="${point.latitude}" lon="${point.longitude}">`];
+
+    if (hasValue(point.altitude)) {
+      lines.push(`        <ele>${point.altitude}</ele>`);
+    }
+    lines.push(`        <time>${isoTime(point.timestamp)}</time>`);
+
+    const tpx = [];
+    if (hasValue(point.speed)) tpx.push(`            <gpxtpx:speed>${point.speed}</gpxtpx:speed>`);
+    if (hasValue(point.heading)) tpx.push(`            <gpxtpx:course>${point.heading}</gpxtpx:course>`);
+
+    const sensor = sensorFields
+      .filter(field => hasValue(point[field]))
+      .map(field => `          <sensor:${field}>${escapeXml(point[field])}</sensor:${field}>`);
+
+    if (tpx.length > 0 || sensor.length > 0) {
+      lines.push('        <extensions>');
+      if (tpx.length > 0) {
+        lines.push('          <gpxtpx:TrackPointExtension>', ...tpx, '          </gpxtpx:TrackPointExtension>');
+      }
+      lines.push(...sensor);
+      lines.push('        </extensions>');
+    }
+
+    lines.push('      </trkpt>');
+    return lines.join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${CREATOR}"`,
+    '     xmlns="http://www.topografix.com/GPX/1/1"',
+    '     xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"',
+    `     xmlns:sensor="${SENSOR_NS}">`,
+    '  <metadata>',
+    `    <name>${escapeXml(name)}</name>`,
+    fixes.length > 0 ? `    <time>${isoTime(fixes[0].timestamp)}</time>` : null,
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <trkseg>',
+    ...trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+function toCoordinates(point) {
+  return hasValue(point.altitude)
+    ? [point.longitude, point.latitude, point.altitude]
+    : [point.longitude, point.latitude];
+}
+
+/**
+ * GeoJSON export: one LineString for the track, one Point per fix
+ */
+function toGeoJson(points, { sessionId, channels = [] } = {}) {
+  const fixes = sortByTimestamp(points).filter(hasPosition);
+  const fields = [...EXTRA_FIELDS, ...channelNames(channels)];
+
+  const track = {
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: fixes.map(toCoordinates)
+    },
+    properties: {
+      sessionId: sessionId || null,
+      startTime: fixes.length > 0 ? isoTime(fixes[0].timestamp) : null,
+      endTime: fixes.length > 0 ? isoTime(fixes[fixes.length - 1].timestamp) : null,
+      coordTimes: fixes.map(point => isoTime(point.timestamp)),
+      channels: channels.map(({ name, unit, samplingRateHz }) => ({ name, unit, samplingRateHz }))
+    }
+  };
+
+  const fixFeatures = fixes.map(point => {
+    const properties = {
+      timestamp: point.timestamp,
+      time: isoTime(point.timestamp)
+    };
+    fields.forEach(field => {
+      if (hasValue(point[field])) {
+        properties[field] = point[field];
+      }
+    });
+
+    return {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: toCoordinates(point) },
+      properties
+    };
+  });
+
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: [track, ...fixFeatures]
+  }, null, 2);
+}
+
+/**
+ * KML export using a gx:Track so Google Earth can animate the trip
+ */
+function toKml(points, { sessionId, channels } = {}) {
+  const fixes = sortByTimestamp(points).filter(hasPosition);
+  const name = `Session ${sessionId || ''}`.trim();
+  const hasAltitude = fixes.some(point => hasValue(point.altitude));
+  const fields = [...EXTRA_FIELDS, ...channelNames(channels)];
+
+  const whens = fixes.map(point => `        <when>${isoTime(point.timestamp)}</when>`);
+  const coords = fixes.map(point => {
+    const altitude = hasValue(point.altitude) ? point.altitude : 0;
+    return `        <gx:coord>${point.longitude} ${point.latitude} ${altitude}</gx:coord>`;
+  });
+
+  const arrays = fields
+    .filter(field => fixes.some(point => hasValue(point[field])))
+    .map(field => [
+      `            <gx:SimpleArrayData name="${field}">`,
+      ...fixes.map(point => `              <gx:value>${hasValue(point[field]) ? escapeXml(point[field]) : ''}</gx:value>`),
+      '            </gx:SimpleArrayData>'
+    ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <Schema id="sensor">',
+    ...fields.map(field => {
+      const type = STRING_FIELDS.includes(field) ? 'string' : 'float';
+      return `      <gx:SimpleArrayField name="${field}" type="${type}"/>`;
+    }),
+    '    </Schema>',
+    '    <Placemark>',
+    `      <name>${escapeXml(name)}</name>`,
+    '      <gx:Track>',
+    `        <altitudeMode>${hasAltitude ? 'absolute' : 'clampToGround'}</altitudeMode>`,
+    ...whens,
+    ...coords,
+    '        <ExtendedData>',
+    '          <SchemaData schemaUrl="#sensor">',
+    ...arrays,
+    '          </SchemaData>',
+    '        </ExtendedData>',
+    '      </gx:Track>',
+    '    </Placemark>',
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+const FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv', render: toCsv },
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx', render: toGpx },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson', render: toGeoJson },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml', render: toKml }
+};
+
+/**
+ * Render points in the requested format
+ * Returns null for an unknown format
+ */
+function exportPoints(points, format = 'csv', options = {}) {
+  const exporter = FORMATS[format];
+  if (!exporter) {
+    return null;
+  }
+
+  return {
+    contentType: exporter.contentType,
+    extension: exporter.extension,
+    body: exporter.render(points, options)
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS: Object.keys(FORMATS),
+  CSV_HEADERS,
+  exportPoints,
+  toCsv,
+  toGpx,
+  toGeoJson,
+  toKml
+};
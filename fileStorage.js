@@ -0,0 +1,533 @@
+/**
+ * Local File Storage Backend
+ *
+ * Append-only JSON Lines storage for offline development and demos.
+ * Each collection is a single file in DATA_DIR (default ./data),
+ * one document per line, so nothing needs Firebase credentials.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { stationKey, hasStationChanged } = require('./bikeStations');
+const { matchesQuery, isAfterCursor, comparePoints, encodeCursor } = require('./sensorQuery');
+const { logger } = require('./logger');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+
+function createFileStorage(options = {}) {
+  const dataDir = options.dataDir || process.env.DATA_DIR || DEFAULT_DATA_DIR;
+
+  // pointKeys already written to sensor_data, loaded on first write
+  let knownPointKeys = null;
+
+  // stationKey -> latest stored station state, loaded on first use
+  let latestStationState = null;
+
+  // collection -> tail of its queue of file operations, so an append never
+  // lands between the read and the rename of a rewrite
+  const fileQueues = new Map();
+
+  function collectionPath(collection) {
+    return path.join(dataDir, `${collection}.jsonl`);
+  }
+
+  function exclusive(collection, task) {
+    const run = (fileQueues.get(collection) || Promise.resolve()).then(task);
+    fileQueues.set(collection, run.catch(() => {}));
+    return run;
+  }
+
+  // Append documents to a collection file, assigning ids (unless given) and created_at
+  async function appendDocuments(collection, documents) {
+    const createdAt = new Date().toISOString();
+    const docs = documents.map(doc => ({
+      id: crypto.randomUUID(),
+      ...doc,
+      created_at: createdAt
+    }));
+
+    if (docs.length === 0) {
+      return docs;
+    }
+
+    const lines = docs.map(doc => JSON.stringify(doc)).join('\n') + '\n';
+    await exclusive(collection, () => fs.promises.appendFile(collectionPath(collection), lines, 'utf-8'));
+    return docs;
+  }
+
+  // Read every document in a collection (oldest first)
+  async function readDocuments(collection) {
+    let content;
+    try {
+      content = await fs.promises.readFile(collectionPath(collection), 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const docs = [];
+    content.split('\n').forEach(line => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        docs.push(JSON.parse(line));
+      } catch (error) {
+        // Skip a partially written trailing line
+        logger.warn('Skipping corrupt line', { file: `${collection}.jsonl` });
+      }
+    });
+    return docs;
+  }
+
+  // Newest-first slice of a collection, mirroring Firestore's orderBy created_at desc
+  async function readRecent(collection, limit) {
+    const docs = await readDocuments(collection);
+    return docs.reverse().slice(0, limit);
+  }
+
+  function initialize() {
+    fs.mkdirSync(dataDir, { recursive: true });
+    logger.info('File storage initialized', { dataDir });
+  }
+
+  // Readiness probe: the data directory exists and is writable
+  async function ping() {
+    try {
+      await fs.promises.access(dataDir, fs.constants.W_OK);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function loadPointKeys() {
+    if (!knownPointKeys) {
+      const docs = await readDocuments('sensor_data');
+      knownPointKeys = new Set(docs.map(doc => doc.pointKey).filter(Boolean));
+    }
+    return knownPointKeys;
+  }
+
+  async function addSensorDataBatch(dataPoints) {
+    try {
+      // Skip points whose pointKey is already stored (retried uploads)
+      const pointKeys = await loadPointKeys();
+      const fresh = dataPoints.filter(point => !point.pointKey || !pointKeys.has(point.pointKey));
+
+      await appendDocuments('sensor_data', fresh.map(point => (
+        point.pointKey ? { ...point, id: point.pointKey } : point
+      )));
+      fresh.forEach(point => point.pointKey && pointKeys.add(point.pointKey));
+
+      return {
+        success: true,
+        totalAdded: fresh.length,
+        duplicates: dataPoints.length - fresh.length,
+        batches: 1
+      };
+    } catch (error) {
+      logger.error('Error adding sensor data batch', { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Latest state per station. dublin_bikes_latest.jsonl is append-only,
+  // so the last line for a station id wins
+  async function loadLatestStationState() {
+    if (!latestStationState) {
+      const docs = await readDocuments('dublin_bikes_latest');
+      latestStationState = new Map(docs.map(doc => [doc.id, doc]));
+    }
+    return latestStationState;
+  }
+
+  // Only changed stations get a history record and a new latest state;
+  // every run appends a dublin_bikes_fetches marker for its feed
+  async function addDublinBikesData(stationsData, { feedId } = {}) {
+    try {
+      const latest = await loadLatestStationState();
+      const timestamp = new Date();
+      const fetchedAt = timestamp.toISOString();
+
+      const changed = stationsData
+        .filter(station => hasStationChanged(latest.get(stationKey(station)), station))
+        .map(station => ({ ...station, station_key: stationKey(station), fetched_at: fetchedAt }));
+
+      await appendDocuments('dublin_bikes', changed);
+      const states = await appendDocuments('dublin_bikes_latest', changed.map(record => ({
+        id: record.station_key,
+        ...record,
+        changed_at: fetchedAt
+      })));
+      await appendDocuments('dublin_bikes_fetches', [{
+        feed_id: feedId || null,
+        fetched_at: fetchedAt,
+        station_count: stationsData.length,
+        changed_count: changed.length
+      }]);
+      states.forEach(state => latest.set(state.id, state));
+
+      logger.info('Stored changed bike stations', {
+        backend: 'file',
+        feedId: feedId || null,
+        changed: changed.length,
+        stations: stationsData.length
+      });
+
+      return {
+        success: true,
+        stationsAdded: changed.length,
+        stationsUnchanged: stationsData.length - changed.length,
+        changedKeys: changed.map(record => record.station_key),
+        timestamp: fetchedAt
+      };
+    } catch (error) {
+      logger.error('Error adding Dublin Bikes data', { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function getRecentSensorData(limit = 100) {
+    try {
+      const data = await readRecent('sensor_data', limit);
+      return { success: true, data, count: data.length };
+    } catch (error) {
+      logger.error('Error querying sensor data', { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function getSensorDataBySession(sessionId) {
+    try {
+      const docs = await readDocuments('sensor_data');
+      const data = docs
+        .filter(doc => doc.sessionId === sessionId)
+        .sort((a, b) => a.timestamp - b.timestamp);
+      return { success: true, data, count: data.length };
+    } catch (error) {
+      logger.error('Error querying session data', { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Sensor data query (see sensorQuery.js), filtered in memory
+  async function querySensorData(query) {
+    try {
+      const docs = await readDocuments('sensor_data');
+      const matching = docs
+        .filter(doc => matchesQuery(doc, query))
+        .filter(doc => !query.cursor || isAfterCursor(doc, query.cursor, query.order))
+        .sort((a, b) => comparePoints(a, b, query.order));
+      const data = matching.slice(0, query.limit);
+      const hasMore = matching.length > data.length;
+      return {
+        success: true,
+        data,
+        count: data.length,
+        scanned: docs.length,
+        nextCursor: hasMore ? encodeCursor(data[data.length - 1]) : null
+      };
+    } catch (error) {
+      logger.error('Error querying sensor data', { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function getRecentBikesData(limit = 100) {
+    try {
+      const data = await readRecent('dublin_bikes', limit);
+      return { success: true, data, count: data.length };
+    } catch (error) {
+      logger.error('Error querying bikes data', { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function getLatestBikesSnapshot({ feedId } = {}) {
+    try {
+      const latest = await loadLatestStationState();
+      const fetches = (await readDocuments('dublin_bikes_fetches'))
+        .filter(doc => !feedId || doc.feed_id === feedId);
+      const data = [...latest.values()].filter(doc => !feedId || doc.feed_id === feedId);
+      const fetchedAt = fetches.length > 0 ? fetches[fetches.length - 1].fetched_at : null;
+      return { success: true, data, count: data.length, fetchedAt };
+    } catch (error) {
+      logger.error('Error querying latest bikes snapshot', { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function getStationHistory(key, { from, to } = {}) {
+    try {
+      const fromIso = from ? from.toISOString() : null;
+      const toIso = to ? to.toISOString() : null;
+
+      const docs = await readDocuments('dublin_bikes');
+      const data = docs
+        .filter(doc => doc.station_key === key)
+        .filter(doc => !fromIso || doc.fetched_at >= fromIso)
+        .filter(doc => !toIso || doc.fetched_at <= toIso)
+        .sort((a, b) => a.fetched_at.localeCompare(b.fetched_at));
+      return { success: true, data, count: data.length };
+    } catch (error) {
+      logger.error('Error querying station history', { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function getStationStateAt(key, time) {
+    try {
+      const timeIso = time.toISOString();
+      const docs = await readDocuments('dublin_bikes');
+      const before = docs.filter(doc => doc.station_key === key && doc.fetched_at < timeIso);
+      const data = before.reduce((last, doc) => (!last || doc.fetched_at > last.fetched_at ? doc : last), null);
+      return { success: true, data };
+    } catch (error) {
+      logger.error('Error querying station state', { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function getBikesFetchTimes({ feedId, from, to } = {}) {
+    try {
+      const fromIso = from ? from.toISOString() : null;
+      const toIso = to ? to.toISOString() : null;
+
+      const docs = await readDocuments('dublin_bikes_fetches');
+      const data = docs
+        .filter(doc => !feedId || doc.feed_id === feedId)
+        .map(doc => doc.fetched_at)
+        .filter(time => (!fromIso || time >= fromIso) && (!toIso || time <= toIso))
+        .sort();
+      return { success: true, data, count: data.length };
+    } catch (error) {
+      logger.error('Error querying bikes fetch times', { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Devices are upserted by appending; the last line per deviceId wins
+  async function saveDevice(device) {
+    try {
+      await appendDocuments('devices', [{ id: device.deviceId, ...device }]);
+      return { success: true };
+    } catch (error) {
+      logger.error('Error saving device', { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function getDevices() {
+    try {
+      const latest = new Map();
+      (await readDocuments('devices')).forEach(({ id, created_at, ...device }) => latest.set(id, device));
+      const data = [...latest.values()];
+      return { success: true, data, count: data.length };
+    } catch (error) {
+      logger.error('Error loading devices', { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Geofences, alert rules and webhooks (collection per kind), upserted by
+  // appending; the last line per id wins and deletions append a tombstone
+  async function saveAlertConfig(collection, doc) {
+    try {
+      await appendDocuments(collection, [doc]);
+      return { success: true };
+    } catch (error) {
+      logger.error(`Error saving ${collection}`, { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function deleteAlertConfig(collection, id) {
+    try {
+      await appendDocuments(collection, [{ id, deleted: true }]);
+      return { success: true };
+    } catch (error) {
+      logger.error(`Error deleting from ${collection}`, { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function getAlertConfig(collection) {
+    try {
+      const latest = new Map();
+      (await readDocuments(collection)).forEach(({ created_at, ...doc }) => latest.set(doc.id, doc));
+      const data = [...latest.values()].filter(doc => !doc.deleted);
+      return { success: true, data, count: data.length };
+    } catch (error) {
+      logger.error(`Error loading ${collection}`, { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Alert events are re-appended when their delivery status changes
+  async function saveAlertEvent(event) {
+    return saveAlertConfig('alert_events', event);
+  }
+
+  async function getAlertEvents({ type, ruleId, since, limit = 100 } = {}) {
+    try {
+      const latest = new Map();
+      (await readDocuments('alert_events')).forEach(({ created_at, ...doc }) => latest.set(doc.id, doc));
+      const sinceIso = since ? since.toISOString() : null;
+      const data = [...latest.values()]
+        .filter(event => !type || event.type === type)
+        .filter(event => !ruleId || event.ruleId === ruleId)
+        .filter(event => !sinceIso || event.occurredAt >= sinceIso)
+        .sort((a, b) => b.occurredAt.localeCompare(a.occurredAt))
+        .slice(0, limit);
+      return { success: true, data, count: data.length };
+    } catch (error) {
+      logger.error('Error querying alert events', { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Latest version of each document (the last line per id wins)
+  async function readLatestDocuments(collection) {
+    const latest = new Map();
+    (await readDocuments(collection)).forEach(doc => latest.set(doc.id, doc));
+    return [...latest.values()];
+  }
+
+  // Retention scan: documents with field < before, oldest first, passed to
+  // handler(docs) in pages
+  async function forEachDocumentBefore(collection, field, before, handler, { pageSize = 1000 } = {}) {
+    try {
+      const docs = (await readLatestDocuments(collection))
+        .filter(doc => !doc.deleted && doc[field] !== undefined && doc[field] < before)
+        .sort((a, b) => (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0));
+
+      for (let i = 0; i < docs.length; i += pageSize) {
+        await handler(docs.slice(i, i + pageSize));
+      }
+      return { success: true, scanned: docs.length };
+    } catch (error) {
+      logger.error(`Error scanning ${collection}`, { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Rewrite the collection file without the given ids (temp file + rename)
+  async function deleteDocuments(collection, ids) {
+    try {
+      const remove = new Set(ids);
+      const deleted = await exclusive(collection, async () => {
+        const docs = await readDocuments(collection);
+        const kept = docs.filter(doc => !remove.has(doc.id));
+        const target = collectionPath(collection);
+        const content = kept.map(doc => JSON.stringify(doc) + '\n').join('');
+        await fs.promises.writeFile(`${target}.tmp`, content, 'utf-8');
+        await fs.promises.rename(`${target}.tmp`, target);
+        return docs.length - kept.length;
+      });
+
+      if (collection === 'sensor_data') {
+        knownPointKeys = null;
+      }
+      return { success: true, deleted };
+    } catch (error) {
+      logger.error(`Error deleting from ${collection}`, { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Upsert documents by id (rollups, retention state)
+  async function saveDocuments(collection, docs) {
+    try {
+      await appendDocuments(collection, docs);
+      return { success: true, saved: docs.length };
+    } catch (error) {
+      logger.error(`Error saving ${collection}`, { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function getDocument(collection, id) {
+    try {
+      const docs = await readLatestDocuments(collection);
+      const found = docs.find(doc => doc.id === id);
+      if (!found) {
+        return { success: true, data: null };
+      }
+      const { created_at, ...data } = found;
+      return { success: true, data };
+    } catch (error) {
+      logger.error(`Error loading ${collection}/${id}`, { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Stored session records (see sessionManager.toSessionRecord), optionally of one device
+  async function getSessionRecords({ deviceId } = {}) {
+    try {
+      const data = (await readLatestDocuments('sessions'))
+        .map(({ created_at, ...record }) => record)
+        .filter(record => !deviceId || record.deviceId === deviceId);
+      return { success: true, data, count: data.length };
+    } catch (error) {
+      logger.error('Error loading sessions', { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Rollups of one period, oldest first, optionally for one key and range
+  async function getRollups(collection, { period, key, from, to, limit = 1000 } = {}) {
+    try {
+      const fromIso = from ? from.toISOString() : null;
+      const toIso = to ? to.toISOString() : null;
+      const data = (await readLatestDocuments(collection))
+        .map(({ created_at, ...doc }) => doc)
+        .filter(doc => doc.period === period)
+        .filter(doc => !key || doc.key === key)
+        .filter(doc => (!fromIso || doc.bucketStart >= fromIso) && (!toIso || doc.bucketStart < toIso))
+        .sort((a, b) => a.bucketStart.localeCompare(b.bucketStart) || a.key.localeCompare(b.key))
+        .slice(0, limit);
+      return { success: true, data, count: data.length };
+    } catch (error) {
+      logger.error(`Error querying ${collection}`, { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  return {
+    name: 'file',
+    dataDir,
+    initialize,
+    addSensorDataBatch,
+    addDublinBikesData,
+    getRecentSensorData,
+    getSensorDataBySession,
+    querySensorData,
+    getRecentBikesData,
+    getLatestBikesSnapshot,
+    getStationHistory,
+    getStationStateAt,
+    getBikesFetchTimes,
+    saveDevice,
+    getDevices,
+    saveAlertConfig,
+    deleteAlertConfig,
+    getAlertConfig,
+    saveAlertEvent,
+    getAlertEvents,
+    forEachDocumentBefore,
+    deleteDocuments,
+    saveDocuments,
+    getDocument,
+    getSessionRecords,
+    getRollups,
+    ping
+  };
+}
+
+module.exports = {
+  createFileStorage
+};
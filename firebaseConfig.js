@@ -6,6 +6,10 @@
  */
 
 const admin = require('firebase-admin');
+const { stationKey, hasStationChanged } = require('./bikeStations');
+const { inBbox, encodeCursor } = require('./sensorQuery');
+const { logger } = require('./logger');
+const { firestoreBatches, firestoreBatchDuration } = require('./metrics');
 
 // Initialize Firebase Admin SDK
 // The service account key should be in firebase-admin-key.json
@@ -13,7 +17,7 @@ let firebaseInitialized = false;
 
 function initializeFirebase() {
   if (firebaseInitialized) {
-    console.log('✅ Firebase already initialized');
+    logger.debug('Firebase already initialized');
     return admin;
   }
 
@@ -22,16 +26,16 @@ function initializeFirebase() {
     
     if (process.env.FIREBASE_CONFIG_BASE64) {
       // Decode from base64
-      console.log('📦 Loading Firebase config from base64 env variable');
+      logger.info('Loading Firebase config', { source: 'FIREBASE_CONFIG_BASE64' });
       const decoded = Buffer.from(process.env.FIREBASE_CONFIG_BASE64, 'base64').toString('utf-8');
       serviceAccount = JSON.parse(decoded);
     } else if (process.env.FIREBASE_CONFIG) {
       // Direct JSON
-      console.log('📦 Loading Firebase config from JSON env variable');
+      logger.info('Loading Firebase config', { source: 'FIREBASE_CONFIG' });
       serviceAccount = JSON.parse(process.env.FIREBASE_CONFIG);
     } else {
       // Local development
-      console.log('📂 Loading Firebase config from file');
+      logger.info('Loading Firebase config', { source: 'firebase-admin-key.json' });
       serviceAccount = require('./firebase-admin-key.json');
     }
     
@@ -40,15 +44,31 @@ function initializeFirebase() {
     });
 
     firebaseInitialized = true;
-    console.log('🔥 Firebase Admin SDK initialized successfully');
+    logger.info('Firebase Admin SDK initialized');
     
   } catch (error) {
-    console.error('❌ Error initializing Firebase:', error.message);
+    logger.error('Error initializing Firebase', { error: error.message });
     throw error;
   }
 
   return admin;
 }
+
+// Commit a write batch, recording its latency and result
+// (label: the collection the batch mainly writes to)
+async function commitBatch(batch, collection) {
+  const stopTimer = firestoreBatchDuration.startTimer({ collection });
+  try {
+    await batch.commit();
+    firestoreBatches.inc({ collection, result: 'success' });
+  } catch (error) {
+    firestoreBatches.inc({ collection, result: 'failure' });
+    throw error;
+  } finally {
+    stopTimer();
+  }
+}
+
 // Get Firestore instance
 function getFirestore() {
   if (!firebaseInitialized) {
@@ -68,7 +88,7 @@ async function addSensorData(dataPoint) {
     
     return { success: true, docId: docRef.id };
   } catch (error) {
-    console.error('Error adding sensor data:', error);
+    logger.error('Error adding sensor data', { error });
     return { success: false, error: error.message };
   }
 }
@@ -89,14 +109,16 @@ async function addSensorDataBatch(dataPoints) {
       const currentBatch = db.batch();
       
       chunk.forEach(dataPoint => {
-        const docRef = db.collection('sensor_data').doc();
+        // A pointKey makes retried uploads overwrite instead of duplicating
+        const collection = db.collection('sensor_data');
+        const docRef = dataPoint.pointKey ? collection.doc(dataPoint.pointKey) : collection.doc();
         currentBatch.set(docRef, {
           ...dataPoint,
           created_at: admin.firestore.FieldValue.serverTimestamp()
         });
       });
       
-      await currentBatch.commit();
+      await commitBatch(currentBatch, 'sensor_data');
       results.push({ success: true, count: chunk.length });
     }
     
@@ -107,40 +129,97 @@ async function addSensorDataBatch(dataPoints) {
     };
     
   } catch (error) {
-    console.error('Error adding sensor data batch:', error);
+    logger.error('Error adding sensor data batch', { error });
     return { success: false, error: error.message };
   }
 }
 
-// Helper function to add Dublin Bikes data to Firestore
-async function addDublinBikesData(stationsData) {
+// Latest stored state per station (dublin_bikes_latest), loaded on first use
+let latestStationState = null;
+
+async function loadLatestStationState(db) {
+  if (!latestStationState) {
+    const snapshot = await db.collection('dublin_bikes_latest').get();
+    latestStationState = new Map();
+    snapshot.forEach(doc => latestStationState.set(doc.id, doc.data()));
+  }
+  return latestStationState;
+}
+
+// Commit a list of (docRef, data) writes in batches of at most 500
+async function commitWrites(db, writes, collection) {
+  const BATCH_SIZE = 500;
+  
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const currentBatch = db.batch();
+    writes.slice(i, i + BATCH_SIZE).forEach(({ ref, data }) => currentBatch.set(ref, data));
+    await commitBatch(currentBatch, collection);
+  }
+}
+
+// Helper function to add bike station data to Firestore
+// Only stations whose state changed get a history record in dublin_bikes and
+// an updated doc in dublin_bikes_latest; every run adds one dublin_bikes_fetches
+// marker per feed so the full timeline can be reconstructed
+async function addDublinBikesData(stationsData, { feedId } = {}) {
   try {
     const db = getFirestore();
-    const batch = db.batch();
+    const latest = await loadLatestStationState(db);
     
     const timestamp = new Date();
+    const fetchedAt = admin.firestore.Timestamp.fromDate(timestamp);
+    
+    const writes = [];
+    const changedStates = [];
     
     stationsData.forEach(station => {
-      const docRef = db.collection('dublin_bikes').doc();
-      batch.set(docRef, {
-        ...station,
-        fetched_at: admin.firestore.Timestamp.fromDate(timestamp),
-        created_at: admin.firestore.FieldValue.serverTimestamp()
+      const key = stationKey(station);
+      if (!hasStationChanged(latest.get(key), station)) {
+        return;
+      }
+      
+      const record = { ...station, station_key: key, fetched_at: fetchedAt };
+      writes.push({
+        ref: db.collection('dublin_bikes').doc(),
+        data: { ...record, created_at: admin.firestore.FieldValue.serverTimestamp() }
+      });
+      writes.push({
+        ref: db.collection('dublin_bikes_latest').doc(key),
+        data: { ...record, changed_at: fetchedAt }
       });
+      changedStates.push([key, record]);
     });
     
-    await batch.commit();
+    writes.push({
+      ref: db.collection('dublin_bikes_fetches').doc(),
+      data: {
+        feed_id: feedId || null,
+        fetched_at: fetchedAt,
+        station_count: stationsData.length,
+        changed_count: changedStates.length
+      }
+    });
     
-    console.log(`✅ Added ${stationsData.length} Dublin Bikes stations to Firestore`);
+    await commitWrites(db, writes, 'dublin_bikes');
+    changedStates.forEach(([key, record]) => latest.set(key, record));
+    
+    logger.info('Stored changed bike stations', {
+      backend: 'firestore',
+      feedId: feedId || null,
+      changed: changedStates.length,
+      stations: stationsData.length
+    });
     
     return { 
       success: true, 
-      stationsAdded: stationsData.length,
+      stationsAdded: changedStates.length,
+      stationsUnchanged: stationsData.length - changedStates.length,
+      changedKeys: changedStates.map(([key]) => key),
       timestamp: timestamp.toISOString()
     };
     
   } catch (error) {
-    console.error('Error adding Dublin Bikes data:', error);
+    logger.error('Error adding Dublin Bikes data', { error });
     return { success: false, error: error.message };
   }
 }
@@ -162,7 +241,103 @@ async function getRecentSensorData(limit = 100) {
     return { success: true, data, count: data.length };
     
   } catch (error) {
-    console.error('Error querying sensor data:', error);
+    logger.error('Error querying sensor data', { error });
+    return { success: false, error: error.message };
+  }
+}
+
+// Documents scanned per page, and at most per request, when a bounding box
+// has to be applied after the query
+const QUERY_PAGE_SIZE = 500;
+const QUERY_MAX_SCAN = 10000;
+
+// Helper function to query sensor data (see sensorQuery.js)
+// Session, device and time filters run in Firestore; the bounding box is
+// applied to each page, so a page may hold fewer than `limit` points and
+// still have a nextCursor. Combining filters with the timestamp order
+// needs composite indexes (sessionId/deviceId + timestamp)
+async function querySensorData({ sessionId, deviceId, from = null, to = null, bbox, order = 'asc', limit, cursor }) {
+  try {
+    const db = getFirestore();
+    const documentId = admin.firestore.FieldPath.documentId();
+    let query = db.collection('sensor_data');
+    
+    if (sessionId) {
+      query = query.where('sessionId', '==', sessionId);
+    }
+    if (deviceId) {
+      query = query.where('deviceId', '==', deviceId);
+    }
+    if (from !== null) {
+      query = query.where('timestamp', '>=', from);
+    }
+    if (to !== null) {
+      query = query.where('timestamp', '<=', to);
+    }
+    query = query.orderBy('timestamp', order).orderBy(documentId, order);
+    
+    const pageSize = bbox ? Math.max(limit, QUERY_PAGE_SIZE) : limit;
+    const data = [];
+    let position = cursor;
+    let scanned = 0;
+    let exhausted = false;
+    
+    while (data.length < limit && scanned < QUERY_MAX_SCAN) {
+      const page = position ? query.startAfter(position.timestamp, position.id) : query;
+      const snapshot = await page.limit(pageSize).get();
+      
+      for (const doc of snapshot.docs) {
+        const point = { id: doc.id, ...doc.data() };
+        scanned++;
+        position = { timestamp: point.timestamp, id: doc.id };
+        if (!bbox || inBbox(point, bbox)) {
+          data.push(point);
+          if (data.length === limit) break;
+        }
+      }
+      
+      if (snapshot.size < pageSize) {
+        // Short page: the end of the results, unless the loop stopped before its last doc
+        const last = snapshot.docs[snapshot.size - 1];
+        exhausted = !last || last.id === position.id;
+        break;
+      }
+    }
+    
+    return {
+      success: true,
+      data,
+      count: data.length,
+      scanned,
+      nextCursor: exhausted || !position ? null : encodeCursor(position)
+    };
+    
+  } catch (error) {
+    logger.error('Error querying sensor data', { error });
+    return { success: false, error: error.message };
+  }
+}
+
+// Helper function to load every point recorded in a session
+async function getSensorDataBySession(sessionId) {
+  try {
+    const db = getFirestore();
+    const snapshot = await db.collection('sensor_data')
+      .where('sessionId', '==', sessionId)
+      .get();
+    
+    const data = [];
+    snapshot.forEach(doc => {
+      data.push({ id: doc.id, ...doc.data() });
+    });
+    
+    // Sort in memory to avoid needing a composite index
+    data.sort((a, b) => a.timestamp - b.timestamp);
+    
+    return { success: true, data, count: data.length };
+    
+  } catch (error) {
+    logger.error('Error querying session data', { error });
     return { success: false, error: error.message };
   }
 }
@@ -184,7 +359,411 @@ async function getRecentBikesData(limit = 100) {
     return { success: true, data, count: data.length };
     
   } catch (error) {
-    console.error('Error querying bikes data:', error);
+    logger.error('Error querying bikes data', { error });
+    return { success: false, error: error.message };
+  }
+}
+
+// Convert Firestore Timestamps in a bikes doc to ISO strings
+function serializeBikesDoc(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    fetched_at: data.fetched_at ? data.fetched_at.toDate().toISOString() : null,
+    last_update: data.last_update ? data.last_update.toDate().toISOString() : null,
+    ...(data.changed_at && { changed_at: data.changed_at.toDate().toISOString() })
+  };
+}
+
+// Helper function to load the current state of every station
+// (optionally only one feed's; needs an index on dublin_bikes_fetches (feed_id ASC, fetched_at DESC))
+async function getLatestBikesSnapshot({ feedId } = {}) {
+  try {
+    const db = getFirestore();
+    let stationsQuery = db.collection('dublin_bikes_latest');
+    let fetchesQuery = db.collection('dublin_bikes_fetches');
+    
+    if (feedId) {
+      stationsQuery = stationsQuery.where('feed_id', '==', feedId);
+      fetchesQuery = fetchesQuery.where('feed_id', '==', feedId);
+    }
+    
+    const [stations, lastFetch] = await Promise.all([
+      stationsQuery.get(),
+      fetchesQuery.orderBy('fetched_at', 'desc').limit(1).get()
+    ]);
+    
+    const data = [];
+    stations.forEach(doc => {
+      data.push(serializeBikesDoc(doc));
+    });
+    
+    const fetchedAt = lastFetch.empty ? null : lastFetch.docs[0].get('fetched_at').toDate().toISOString();
+    
+    return { success: true, data, count: data.length, fetchedAt };
+    
+  } catch (error) {
+    logger.error('Error querying latest bikes snapshot', { error });
+    return { success: false, error: error.message };
+  }
+}
+
+// Helper function to query one station's change records in a time range
+// Requires a composite index on dublin_bikes (station_key ASC, fetched_at ASC)
+async function getStationHistory(key, { from, to } = {}) {
+  try {
+    const db = getFirestore();
+    let query = db.collection('dublin_bikes')
+      .where('station_key', '==', key);
+    
+    if (from) {
+      query = query.where('fetched_at', '>=', admin.firestore.Timestamp.fromDate(from));
+    }
+    if (to) {
+      query = query.where('fetched_at', '<=', admin.firestore.Timestamp.fromDate(to));
+    }
+    
+    const snapshot = await query.orderBy('fetched_at', 'asc').get();
+    
+    const data = [];
+    snapshot.forEach(doc => {
+      data.push(serializeBikesDoc(doc));
+    });
+    
+    return { success: true, data, count: data.length };
+    
+  } catch (error) {
+    logger.error('Error querying station history', { error });
+    return { success: false, error: error.message };
+  }
+}
+
+// Helper function to get a station's last change record before a time
+// Requires a composite index on dublin_bikes (station_key ASC, fetched_at DESC)
+async function getStationStateAt(key, time) {
+  try {
+    const db = getFirestore();
+    const snapshot = await db.collection('dublin_bikes')
+      .where('station_key', '==', key)
+      .where('fetched_at', '<', admin.firestore.Timestamp.fromDate(time))
+      .orderBy('fetched_at', 'desc')
+      .limit(1)
+      .get();
+    
+    return { success: true, data: snapshot.empty ? null : serializeBikesDoc(snapshot.docs[0]) };
+    
+  } catch (error) {
+    logger.error('Error querying station state', { error });
+    return { success: false, error: error.message };
+  }
+}
+
+// Helper function to list the times of a feed's fetcher runs in a range
+// Requires a composite index on dublin_bikes_fetches (feed_id ASC, fetched_at ASC)
+async function getBikesFetchTimes({ feedId, from, to } = {}) {
+  try {
+    const db = getFirestore();
+    let query = db.collection('dublin_bikes_fetches');
+    
+    if (feedId) {
+      query = query.where('feed_id', '==', feedId);
+    }
+    if (from) {
+      query = query.where('fetched_at', '>=', admin.firestore.Timestamp.fromDate(from));
+    }
+    if (to) {
+      query = query.where('fetched_at', '<=', admin.firestore.Timestamp.fromDate(to));
+    }
+    
+    const snapshot = await query.orderBy('fetched_at', 'asc').get();
+    
+    const data = [];
+    snapshot.forEach(doc => {
+      data.push(doc.get('fetched_at').toDate().toISOString());
+    });
+    
+    return { success: true, data, count: data.length };
+    
+  } catch (error) {
+    logger.error('Error querying bikes fetch times', { error });
+    return { success: false, error: error.message };
+  }
+}
+
+// Helper function to create or update a registered device (one doc per deviceId)
+async function saveDevice(device) {
+  try {
+    const db = getFirestore();
+    await db.collection('devices').doc(device.deviceId).set(device);
+    return { success: true };
+    
+  } catch (error) {
+    logger.error('Error saving device', { error });
+    return { success: false, error: error.message };
+  }
+}
+
+// Helper function to load every registered device
+async function getDevices() {
+  try {
+    const db = getFirestore();
+    const snapshot = await db.collection('devices').get();
+    
+    const data = [];
+    snapshot.forEach(doc => {
+      data.push(doc.data());
+    });
+    
+    return { success: true, data, count: data.length };
+    
+  } catch (error) {
+    logger.error('Error loading devices', { error });
+    return { success: false, error: error.message };
+  }
+}
+
+// Helper function to create or update a geofence, alert rule or webhook
+// (collection per kind, doc id = its id)
+async function saveAlertConfig(collection, doc) {
+  try {
+    const db = getFirestore();
+    await db.collection(collection).doc(doc.id).set(doc);
+    return { success: true };
+    
+  } catch (error) {
+    logger.error(`Error saving ${collection}`, { error });
+    return { success: false, error: error.message };
+  }
+}
+
+async function deleteAlertConfig(collection, id) {
+  try {
+    const db = getFirestore();
+    await db.collection(collection).doc(id).delete();
+    return { success: true };
+    
+  } catch (error) {
+    logger.error(`Error deleting from ${collection}`, { error });
+    return { success: false, error: error.message };
+  }
+}
+
+async function getAlertConfig(collection) {
+  try {
+    const db = getFirestore();
+    const snapshot = await db.collection(collection).get();
+    
+    const data = [];
+    snapshot.forEach(doc => {
+      data.push(doc.data());
+    });
+    
+    return { success: true, data, count: data.length };
+    
+  } catch (error) {
+    logger.error(`Error loading ${collection}`, { error });
+    return { success: false, error: error.message };
+  }
+}
+
+// Helper function to create or update an alert event (doc id = event id)
+async function saveAlertEvent(event) {
+  return saveAlertConfig('alert_events', event);
+}
+
+// Helper function to list alert events, newest first
+// Filtering by type or ruleId needs a composite index with occurredAt DESC
+async function getAlertEvents({ type, ruleId, since, limit = 100 } = {}) {
+  try {
+    const db = getFirestore();
+    let query = db.collection('alert_events');
+    
+    if (type) {
+      query = query.where('type', '==', type);
+    }
+    if (ruleId) {
+      query = query.where('ruleId', '==', ruleId);
+    }
+    if (since) {
+      query = query.where('occurredAt', '>=', since.toISOString());
+    }
+    
+    const snapshot = await query.orderBy('occurredAt', 'desc').limit(limit).get();
+    
+    const data = [];
+    snapshot.forEach(doc => {
+      data.push(doc.data());
+    });
+    
+    return { success: true, data, count: data.length };
+    
+  } catch (error) {
+    logger.error('Error querying alert events', { error });
+    return { success: false, error: error.message };
+  }
+}
+
+// Fields stored as Firestore Timestamps; the retention scan takes ISO strings for them
+const TIMESTAMP_FIELDS = ['fetched_at', 'last_update', 'changed_at', 'created_at'];
+
+// Convert every Firestore Timestamp in a doc to an ISO string
+function serializeDoc(doc) {
+  const data = { id: doc.id, ...doc.data() };
+  Object.keys(data).forEach(field => {
+    if (data[field] instanceof admin.firestore.Timestamp) {
+      data[field] = data[field].toDate().toISOString();
+    }
+  });
+  return data;
+}
+
+// Helper function for the retention job: pass docs with field < before,
+// oldest first, to handler(docs) one page at a time
+async function forEachDocumentBefore(collection, field, before, handler, { pageSize = 500 } = {}) {
+  try {
+    const db = getFirestore();
+    const bound = TIMESTAMP_FIELDS.includes(field)
+      ? admin.firestore.Timestamp.fromDate(new Date(before))
+      : before;
+    const query = db.collection(collection)
+      .where(field, '<', bound)
+      .orderBy(field, 'asc')
+      .limit(pageSize);
+    
+    let scanned = 0;
+    let last = null;
+    for (;;) {
+      const snapshot = await (last ? query.startAfter(last) : query).get();
+      if (snapshot.empty) {
+        break;
+      }
+      scanned += snapshot.size;
+      await handler(snapshot.docs.map(serializeDoc));
+      last = snapshot.docs[snapshot.docs.length - 1];
+      if (snapshot.size < pageSize) {
+        break;
+      }
+    }
+    
+    return { success: true, scanned };
+    
+  } catch (error) {
+    logger.error(`Error scanning ${collection}`, { error });
+    return { success: false, error: error.message };
+  }
+}
+
+// Helper function to delete docs by id in batches of at most 500
+async function deleteDocuments(collection, ids) {
+  try {
+    const db = getFirestore();
+    const BATCH_SIZE = 500;
+    
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      const currentBatch = db.batch();
+      ids.slice(i, i + BATCH_SIZE).forEach(id => currentBatch.delete(db.collection(collection).doc(id)));
+      await commitBatch(currentBatch, collection);
+    }
+    
+    return { success: true, deleted: ids.length };
+    
+  } catch (error) {
+    logger.error(`Error deleting from ${collection}`, { error });
+    return { success: false, error: error.message };
+  }
+}
+
+// Helper function to upsert docs by id (rollups, retention state)
+async function saveDocuments(collection, docs) {
+  try {
+    const db = getFirestore();
+    await commitWrites(db, docs.map(doc => ({ ref: db.collection(collection).doc(doc.id), data: doc })), collection);
+    return { success: true, saved: docs.length };
+    
+  } catch (error) {
+    logger.error(`Error saving ${collection}`, { error });
+    return { success: false, error: error.message };
+  }
+}
+
+async function getDocument(collection, id) {
+  try {
+    const db = getFirestore();
+    const doc = await db.collection(collection).doc(id).get();
+    return { success: true, data: doc.exists ? doc.data() : null };
+    
+  } catch (error) {
+    logger.error(`Error loading ${collection}/${id}`, { error });
+    return { success: false, error: error.message };
+  }
+}
+
+// Helper function to load stored session records, optionally of one device
+async function getSessionRecords({ deviceId } = {}) {
+  try {
+    const db = getFirestore();
+    let query = db.collection('sessions');
+    
+    if (deviceId) {
+      query = query.where('deviceId', '==', deviceId);
+    }
+    
+    const snapshot = await query.get();
+    
+    const data = [];
+    snapshot.forEach(doc => {
+      data.push(doc.data());
+    });
+    
+    return { success: true, data, count: data.length };
+    
+  } catch (error) {
+    logger.error('Error loading sessions', { error });
+    return { success: false, error: error.message };
+  }
+}
+
+// Helper function to query rollups of one period, oldest first
+// Requires composite indexes on (period ASC, bucketStart ASC) and
+// (period ASC, key ASC, bucketStart ASC)
+async function getRollups(collection, { period, key, from, to, limit = 1000 } = {}) {
+  try {
+    const db = getFirestore();
+    let query = db.collection(collection).where('period', '==', period);
+    
+    if (key) {
+      query = query.where('key', '==', key);
+    }
+    if (from) {
+      query = query.where('bucketStart', '>=', from.toISOString());
+    }
+    if (to) {
+      query = query.where('bucketStart', '<', to.toISOString());
+    }
+    
+    const snapshot = await query.orderBy('bucketStart', 'asc').limit(limit).get();
+    
+    const data = [];
+    snapshot.forEach(doc => {
+      data.push(doc.data());
+    });
+    
+    return { success: true, data, count: data.length };
+    
+  } catch (error) {
+    logger.error(`Error querying ${collection}`, { error });
+    return { success: false, error: error.message };
+  }
+}
+
+// Helper function to check Firestore is reachable (one single-document read)
+async function pingFirestore() {
+  try {
+    const db = getFirestore();
+    await db.collection('sensor_data').limit(1).get();
+    return { success: true };
+  } catch (error) {
     return { success: false, error: error.message };
   }
 }
@@ -197,6 +776,26 @@ module.exports = {
   addSensorDataBatch,
   addDublinBikesData,
   getRecentSensorData,
+  getSensorDataBySession,
+  querySensorData,
   getRecentBikesData,
+  getLatestBikesSnapshot,
+  getStationHistory,
+  getStationStateAt,
+  getBikesFetchTimes,
+  saveDevice,
+  getDevices,
+  saveAlertConfig,
+  deleteAlertConfig,
+  getAlertConfig,
+  saveAlertEvent,
+  getAlertEvents,
+  forEachDocumentBefore,
+  deleteDocuments,
+  saveDocuments,
+  getDocument,
+  getSessionRecords,
+  getRollups,
+  pingFirestore,
   admin // Export admin for direct access if needed
 };
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * Firestore Storage Backend
+ *
+ * Adapts the helpers in firebaseConfig.js to the storage interface
+ * used by server.js and the Dublin Bikes fetcher.
+ */
+
+const {
+  initializeFirebase,
+  addSensorDataBatch,
+  addDublinBikesData,
+  getRecentSensorData,
+  getSensorDataBySession,
+  querySensorData,
+  getRecentBikesData,
+  getLatestBikesSnapshot,
+  getStationHistory,
+  getStationStateAt,
+  getBikesFetchTimes,
+  saveDevice,
+  getDevices,
+  saveAlertConfig,
+  deleteAlertConfig,
+  getAlertConfig,
+  saveAlertEvent,
+  getAlertEvents,
+  forEachDocumentBefore,
+  deleteDocuments,
+  saveDocuments,
+  getDocument,
+  getSessionRecords,
+  getRollups,
+  pingFirestore
+} = require('./firebaseConfig');
+
+function createFirestoreStorage() {
+  return {
+    name: 'firestore',
+    initialize: initializeFirebase,
+    addSensorDataBatch,
+    addDublinBikesData,
+    getRecentSensorData,
+    getSensorDataBySession,
+    querySensorData,
+    getRecentBikesData,
+    getLatestBikesSnapshot,
+    getStationHistory,
+    getStationStateAt,
+    getBikesFetchTimes,
+    saveDevice,
+    getDevices,
+    saveAlertConfig,
+    deleteAlertConfig,
+    getAlertConfig,
+    saveAlertEvent,
+    getAlertEvents,
+    forEachDocumentBefore,
+    deleteDocuments,
+    saveDocuments,
+    getDocument,
+    getSessionRecords,
+    getRollups,
+    ping: pingFirestore
+  };
+}
+
+module.exports = {
+  createFirestoreStorage
+};
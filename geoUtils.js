@@ -0,0 +1,39 @@
+/**
+ * Geographic helper functions shared by the analytics modules
+ */
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance in metres between two lat/lng pairs
+ */
+function haversineDistance(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Distance in metres between two sensor points with latitude/longitude
+ */
+function pointDistance(a, b) {
+  return haversineDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+}
+
+function hasPosition(point) {
+  return typeof point.latitude === 'number' && typeof point.longitude === 'number';
+}
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  toRadians,
+  haversineDistance,
+  pointDistance,
+  hasPosition
+};
@@ -0,0 +1,88 @@
+/**
+ * Geofences
+ *
+ * Named zones used by the alert rules, either a circle
+ *   { type: 'circle', center: { lat, lng }, radius }      (radius in metres)
+ * or a polygon
+ *   { type: 'polygon', coordinates: [[lng, lat], ...] }   (GeoJSON order, ring
+ *                                                           closed automatically)
+ */
+
+const { haversineDistance } = require('./geoUtils');
+
+const GEOFENCE_TYPES = ['circle', 'polygon'];
+
+function isLatitude(value) {
+  return typeof value === 'number' && value >= -90 && value <= 90;
+}
+
+function isLongitude(value) {
+  return typeof value === 'number' && value >= -180 && value <= 180;
+}
+
+/**
+ * Validation errors for a geofence definition (empty when valid)
+ */
+function validateGeofence(fence) {
+  const errors = [];
+
+  if (!fence || typeof fence !== 'object') {
+    return ['Geofence must be an object'];
+  }
+  if (typeof fence.name !== 'string' || fence.name.trim() === '') {
+    errors.push('name is required');
+  }
+  if (!GEOFENCE_TYPES.includes(fence.type)) {
+    errors.push(`type must be one of: ${GEOFENCE_TYPES.join(', ')}`);
+    return errors;
+  }
+
+  if (fence.type === 'circle') {
+    const center = fence.center || {};
+    if (!isLatitude(center.lat) || !isLongitude(center.lng)) {
+      errors.push('center must be { lat, lng }');
+    }
+    if (typeof fence.radius !== 'number' || fence.radius <= 0) {
+      errors.push('radius must be a positive number of metres');
+    }
+  } else {
+    const ring = fence.coordinates;
+    if (!Array.isArray(ring) || ring.length < 3 ||
+        !ring.every(pair => Array.isArray(pair) && isLongitude(pair[0]) && isLatitude(pair[1]))) {
+      errors.push('coordinates must be at least 3 [lng, lat] pairs');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Ray casting point-in-polygon test on [lng, lat] pairs
+ */
+function pointInPolygon(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * True when lat/lng lies inside the geofence
+ */
+function containsPoint(fence, lat, lng) {
+  if (fence.type === 'circle') {
+    return haversineDistance(fence.center.lat, fence.center.lng, lat, lng) <= fence.radius;
+  }
+  return pointInPolygon(lat, lng, fence.coordinates);
+}
+
+module.exports = {
+  GEOFENCE_TYPES,
+  validateGeofence,
+  containsPoint
+};
@@ -0,0 +1,354 @@
+/**
+ * GPS Cleaning
+ *
+ * Processing pipeline for a session's raw points, applied in order:
+ * 1. accuracy filter: fixes with a reported accuracy worse than
+ *    maxAccuracy lose their position (other sensor values are kept)
+ * 2. speed filter: fixes implying a jump faster than maxSpeed from the
+ *    last accepted fix lose their position
+ * 3. smoothing: a Kalman filter on latitude/longitude that weighs each
+ *    fix by its reported accuracy
+ * 4. resampling (optional): the combined GPS + accelerometer stream is
+ *    put on a fixed time grid; values are averaged over each slot, or
+ *    interpolated from the neighbouring samples when a slot is empty
+ */
+
+const { pointDistance, hasPosition } = require('./geoUtils');
+
+const DEFAULT_OPTIONS = {
+  maxAccuracy: 50,        // metres - fixes reported less accurate than this are dropped
+  maxSpeed: 70,           // m/s (~250 km/h) - faster jumps between fixes are dropped
+  smoothing: 'kalman',    // 'kalman' or 'none'
+  processNoise: 3,        // m/s - how fast the true position is expected to drift
+  defaultAccuracy: 15,    // metres - assumed for fixes without an accuracy value
+  resampleMs: null,       // slot length of the resampled stream (null = keep raw timing)
+  maxGapMs: 10000         // no interpolation across gaps longer than this
+};
+
+const SMOOTHING_METHODS = ['kalman', 'none'];
+
+// Largest resampled stream a request may produce (a day at 1 Hz is 86,400)
+const MAX_RESAMPLED_POINTS = 100000;
+
+// Fields describing a GPS fix, removed together when a fix is rejected
+const POSITION_FIELDS = ['latitude', 'longitude', 'altitude', 'speed', 'heading', 'accuracy'];
+
+// Angles are averaged and interpolated on the circle
+const ANGLE_FIELDS = ['heading'];
+
+// Derived per point, meaningless on resampled points
+const DROPPED_ON_RESAMPLE = ['pointKey', 'id', 'created_at'];
+
+function withoutPosition(point) {
+  const stripped = { ...point };
+  POSITION_FIELDS.forEach(field => delete stripped[field]);
+  return stripped;
+}
+
+/**
+ * Parse a resample rate: "1Hz", "0.5hz", "2s" or "500ms" -> slot length in ms
+ * Returns null when the value is not a valid rate
+ */
+function parseResampleRate(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(hz|s|ms)$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const amount = parseFloat(match[1]);
+  const unit = match[2].toLowerCase();
+  const ms = unit === 'hz' ? 1000 / amount : unit === 's' ? amount * 1000 : amount;
+  return Number.isFinite(ms) && ms >= 10 ? ms : null;
+}
+
+/**
+ * Cleaning options from query parameters
+ * Returns null when no cleaning was requested, otherwise { options, errors }
+ * Cleaning is requested by ?clean=true or any of ?maxAccuracy=, ?maxSpeed=,
+ * ?smoothing=, ?resample=
+ */
+function parseCleaningQuery(params) {
+  const keys = ['clean', 'maxAccuracy', 'maxSpeed', 'smoothing', 'resample'];
+  if (!keys.some(key => params[key] !== undefined) || params.clean === 'false') {
+    return null;
+  }
+
+  const options = {};
+  const errors = [];
+
+  ['maxAccuracy', 'maxSpeed'].forEach(key => {
+    if (params[key] !== undefined) {
+      const value = parseFloat(params[key]);
+      if (Number.isFinite(value) && value > 0) {
+        options[key] = value;
+      } else {
+        errors.push(`${key} must be a positive number`);
+      }
+    }
+  });
+
+  if (params.smoothing !== undefined) {
+    if (SMOOTHING_METHODS.includes(params.smoothing)) {
+      options.smoothing = params.smoothing;
+    } else {
+      errors.push(`smoothing must be one of: ${SMOOTHING_METHODS.join(', ')}`);
+    }
+  }
+
+  if (params.resample !== undefined) {
+    options.resampleMs = parseResampleRate(params.resample);
+    if (options.resampleMs === null) {
+      errors.push('resample must be a rate like 1Hz, 2s or 500ms');
+    }
+  }
+
+  return { options, errors };
+}
+
+/**
+ * Check that resampling points at options.resampleMs stays within
+ * MAX_RESAMPLED_POINTS; returns an error message, or null when it does
+ */
+function checkResampleSize(points, options) {
+  if (!options.resampleMs || points.length === 0) {
+    return null;
+  }
+  let start = Infinity;
+  let end = -Infinity;
+  points.forEach(point => {
+    start = Math.min(start, point.timestamp);
+    end = Math.max(end, point.timestamp);
+  });
+  const slots = Math.floor((end - start) / options.resampleMs) + 1;
+  return slots > MAX_RESAMPLED_POINTS
+    ? `resample would produce ${slots} points (at most ${MAX_RESAMPLED_POINTS}); use a lower rate`
+    : null;
+}
+
+// Consecutive rejected fixes that agree with each other before the track
+// is assumed to have moved there (so a bad first fix cannot reject the rest)
+const RELOCATION_FIXES = 3;
+
+function isPlausibleMove(from, to, options) {
+  const seconds = (to.timestamp - from.timestamp) / 1000;
+  const distance = pointDistance(from, to);
+  return seconds > 0 ? distance / seconds <= options.maxSpeed : distance <= options.maxAccuracy;
+}
+
+/**
+ * Steps 1 and 2: drop inaccurate fixes and impossible jumps
+ */
+function rejectOutliers(sorted, options, stats) {
+  let lastFix = null;
+  let rejectedRun = [];
+
+  return sorted.map(point => {
+    if (!hasPosition(point)) {
+      return point;
+    }
+
+    if (typeof point.accuracy === 'number' && point.accuracy > options.maxAccuracy) {
+      stats.droppedAccuracy++;
+      return withoutPosition(point);
+    }
+
+    if (lastFix && !isPlausibleMove(lastFix, point, options)) {
+      const previous = rejectedRun[rejectedRun.length - 1];
+      rejectedRun = previous && isPlausibleMove(previous, point, options)
+        ? [...rejectedRun, point]
+        : [point];
+
+      if (rejectedRun.length < RELOCATION_FIXES) {
+        stats.droppedSpeed++;
+        return withoutPosition(point);
+      }
+    }
+
+    rejectedRun = [];
+    lastFix = point;
+    return point;
+  });
+}
+
+/**
+ * Step 3: Kalman filter on position with variance in m²
+ * The estimate's uncertainty grows with processNoise² per second between
+ * fixes, and each fix is weighed by its accuracy²
+ */
+function kalmanSmooth(points, options, stats) {
+  let lat = null;
+  let lng = null;
+  let variance = null;
+  let lastTime = null;
+
+  return points.map(point => {
+    if (!hasPosition(point)) {
+      return point;
+    }
+
+    const accuracy = typeof point.accuracy === 'number' && point.accuracy > 0
+      ? point.accuracy
+      : options.defaultAccuracy;
+
+    if (variance === null) {
+      lat = point.latitude;
+      lng = point.longitude;
+      variance = accuracy * accuracy;
+    } else {
+      const seconds = Math.max(0, (point.timestamp - lastTime) / 1000);
+      variance += seconds * options.processNoise * options.processNoise;
+      const gain = variance / (variance + accuracy * accuracy);
+      lat += gain * (point.latitude - lat);
+      lng += gain * (point.longitude - lng);
+      variance = (1 - gain) * variance;
+    }
+    lastTime = point.timestamp;
+    stats.smoothed++;
+
+    return { ...point, latitude: lat, longitude: lng };
+  });
+}
+
+function meanAngle(values) {
+  const x = values.reduce((sum, value) => sum + Math.cos(value * Math.PI / 180), 0);
+  const y = values.reduce((sum, value) => sum + Math.sin(value * Math.PI / 180), 0);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+function interpolate(field, before, after, time) {
+  const ratio = (time - before.timestamp) / (after.timestamp - before.timestamp);
+  if (ANGLE_FIELDS.includes(field)) {
+    const delta = ((after[field] - before[field] + 540) % 360) - 180;
+    return (before[field] + delta * ratio + 360) % 360;
+  }
+  return before[field] + (after[field] - before[field]) * ratio;
+}
+
+/**
+ * Step 4: resample onto a fixed grid starting at the first point
+ * Each numeric field is the mean of its samples in the slot
+ * [t - slot/2, t + slot/2), or interpolated between the nearest samples
+ * before and after t when they are at most maxGapMs apart
+ */
+function resample(points, options) {
+  if (points.length === 0) {
+    return [];
+  }
+
+  const slot = options.resampleMs;
+  const start = points[0].timestamp;
+  const end = points[points.length - 1].timestamp;
+
+  const numericFields = new Set();
+  points.forEach(point => {
+    Object.keys(point).forEach(field => {
+      if (field !== 'timestamp' && typeof point[field] === 'number' && !DROPPED_ON_RESAMPLE.includes(field)) {
+        numericFields.add(field);
+      }
+    });
+  });
+  // Samples per field, in time order
+  const series = new Map([...numericFields].map(field => [field, points.filter(point => typeof point[field] === 'number')]));
+  const cursors = new Map([...numericFields].map(field => [field, 0]));
+
+  const resampled = [];
+  let latest = 0;
+
+  for (let time = start; time <= end; time += slot) {
+    // Carry over non-numeric fields (sessionId, deviceId, mode...) from the latest point
+    while (latest + 1 < points.length && points[latest + 1].timestamp <= time) {
+      latest++;
+    }
+    const sample = {};
+    Object.keys(points[latest]).forEach(field => {
+      if (typeof points[latest][field] !== 'number' && !DROPPED_ON_RESAMPLE.includes(field)) {
+        sample[field] = points[latest][field];
+      }
+    });
+    sample.timestamp = Math.round(time);
+
+    series.forEach((samples, field) => {
+      let index = cursors.get(field);
+      while (index < samples.length && samples[index].timestamp < time - slot / 2) {
+        index++;
+      }
+      cursors.set(field, index);
+
+      const inSlot = [];
+      for (let i = index; i < samples.length && samples[i].timestamp < time + slot / 2; i++) {
+        inSlot.push(samples[i][field]);
+      }
+
+      if (inSlot.length > 0) {
+        sample[field] = ANGLE_FIELDS.includes(field)
+          ? meanAngle(inSlot)
+          : inSlot.reduce((sum, value) => sum + value, 0) / inSlot.length;
+        return;
+      }
+
+      const before = index > 0 ? samples[index - 1] : null;
+      const after = index < samples.length ? samples[index] : null;
+      if (before && after && after.timestamp - before.timestamp <= options.maxGapMs) {
+        sample[field] = interpolate(field, before, after, time);
+      }
+    });
+
+    // A half-interpolated position is worse than none
+    if (!hasPosition(sample)) {
+      delete sample.latitude;
+      delete sample.longitude;
+    }
+
+    resampled.push(sample);
+  }
+
+  return resampled;
+}
+
+/**
+ * Run the cleaning pipeline on a session's points
+ * Returns { points, stats }; input points are not modified
+ * Throws when resampling would exceed MAX_RESAMPLED_POINTS (see checkResampleSize)
+ */
+function cleanTrack(points, overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const sizeError = checkResampleSize(points, options);
+  if (sizeError) {
+    throw new Error(sizeError);
+  }
+  const sorted = [...points].sort((a, b) => a.timestamp - b.timestamp);
+  const stats = {
+    inputPoints: sorted.length,
+    inputFixes: sorted.filter(hasPosition).length,
+    droppedAccuracy: 0,
+    droppedSpeed: 0,
+    smoothed: 0,
+    outputPoints: 0,
+    outputFixes: 0
+  };
+
+  let cleaned = rejectOutliers(sorted, options, stats);
+
+  if (options.smoothing === 'kalman') {
+    cleaned = kalmanSmooth(cleaned, options, stats);
+  }
+
+  if (options.resampleMs) {
+    cleaned = resample(cleaned, options);
+    stats.resampleMs = options.resampleMs;
+  }
+
+  stats.outputPoints = cleaned.length;
+  stats.outputFixes = cleaned.filter(hasPosition).length;
+
+  return { points: cleaned, stats, options };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  SMOOTHING_METHODS,
+  MAX_RESAMPLED_POINTS,
+  parseResampleRate,
+  checkResampleSize,
+  parseCleaningQuery,
+  cleanTrack
+};
@@ -0,0 +1,158 @@
+/**
+ * Health Checks
+ *
+ * Liveness only says the process is up and serving requests. Readiness
+ * actually probes the dependencies:
+ * - storage: the active backend's ping() (a one-document Firestore read,
+ *   or a write check on DATA_DIR), bounded by HEALTH_DEFAULTS.storageTimeoutMs;
+ *   running on the file fallback after Firestore failed counts as degraded
+ * - bike fetcher: per feed, from its circuit breaker and last run
+ * - outbox: queued batches mean the backend recently failed writes
+ *
+ * The server is ready when storage answers and it is not shutting down.
+ * Fetcher and outbox problems make it `degraded` but still ready, since
+ * sensor uploads keep working without them.
+ */
+
+const { getStorage, getStorageStatus } = require('./storage');
+const { getFetcherStats } = require('./dublinBikesFetcher');
+const { getOutboxStatus } = require('./outbox');
+
+const HEALTH_DEFAULTS = {
+  storageTimeoutMs: 3000
+};
+
+const state = {
+  shuttingDown: false
+};
+
+function markShuttingDown() {
+  state.shuttingDown = true;
+}
+
+function isShuttingDown() {
+  return state.shuttingDown;
+}
+
+function getLiveness() {
+  return {
+    status: 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+    shuttingDown: state.shuttingDown
+  };
+}
+
+/**
+ * Ping the active backend, giving up after storageTimeoutMs
+ */
+async function checkStorage() {
+  const started = Date.now();
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(
+      () => resolve({ success: false, error: `No answer within ${HEALTH_DEFAULTS.storageTimeoutMs}ms` }),
+      HEALTH_DEFAULTS.storageTimeoutMs
+    );
+  });
+
+  let result;
+  try {
+    result = await Promise.race([getStorage().ping(), timeout]);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const status = getStorageStatus();
+  return {
+    status: !result.success ? 'down' : status.fallback ? 'degraded' : 'ok',
+    backend: status.backend,
+    requested: status.requested,
+    fallback: status.fallback,
+    initError: status.initError,
+    latencyMs: Date.now() - started,
+    error: result.success ? null : result.error
+  };
+}
+
+/**
+ * ok: last run succeeded; degraded: last run failed; down: circuit open;
+ * paused; starting: no run finished yet
+ */
+function feedHealth(feed) {
+  let status;
+  if (feed.paused) {
+    status = 'paused';
+  } else if (feed.circuit !== 'closed') {
+    status = 'down';
+  } else if (!feed.lastRun || feed.lastRun.skipped) {
+    status = feed.lastFetchTime ? 'ok' : 'starting';
+  } else {
+    status = feed.lastRun.success ? 'ok' : 'degraded';
+  }
+
+  return {
+    feedId: feed.feedId,
+    status,
+    circuit: feed.circuit,
+    consecutiveFailures: feed.consecutiveFailures,
+    lastFetchTime: feed.lastFetchTime,
+    lastError: feed.lastRun && feed.lastRun.error ? feed.lastRun.error : null
+  };
+}
+
+function checkFetcher() {
+  const feeds = getFetcherStats().feeds.map(feedHealth);
+  const healthy = feeds.filter(feed => feed.status === 'ok' || feed.status === 'paused');
+
+  let status = 'degraded';
+  if (healthy.length === feeds.length) {
+    status = 'ok';
+  } else if (feeds.every(feed => feed.status === 'down' || feed.status === 'degraded')) {
+    status = 'down';
+  }
+
+  return { status, feeds };
+}
+
+function checkOutbox() {
+  const outbox = getOutboxStatus();
+  return {
+    status: outbox.depth === 0 ? 'ok' : 'degraded',
+    depth: outbox.depth,
+    queuedPoints: outbox.queuedPoints,
+    oldestEnqueuedAt: outbox.oldestEnqueuedAt,
+    lastError: outbox.lastError
+  };
+}
+
+/**
+ * Readiness report: { ready, status: 'ok' | 'degraded' | 'unavailable', checks }
+ */
+async function getReadiness() {
+  const checks = {
+    storage: await checkStorage(),
+    bikeFetcher: checkFetcher(),
+    outbox: checkOutbox()
+  };
+
+  const ready = !state.shuttingDown && checks.storage.status !== 'down';
+  const degraded = Object.values(checks).some(check => check.status !== 'ok');
+
+  return {
+    ready,
+    status: !ready ? 'unavailable' : degraded ? 'degraded' : 'ok',
+    shuttingDown: state.shuttingDown,
+    checks
+  };
+}
+
+module.exports = {
+  HEALTH_DEFAULTS,
+  markShuttingDown,
+  isShuttingDown,
+  getLiveness,
+  getReadiness,
+  checkFetcher
+};
@@ -0,0 +1,373 @@
+/**
+ * Session Importers
+ *
+ * Turns uploaded recordings back into sensor points, the reverse of
+ * exporters.js:
+ * - csv: the layout written by the CSV export (header row required);
+ *        the derived datetime, seconds_elapsed and mode columns are
+ *        ignored, except datetime when timestamp is empty
+ * - gpx: track and route points with <ele>, <time>, Garmin speed/course
+ *        and the sensor: extension fields written by the GPX export
+ * - csv with a column mapping: any CSV, e.g. from another logging app,
+ *        given columns=timestamp:time,latitude:lat,longitude:lng; the
+ *        time column is read as epoch ms, epoch seconds or a date string
+ *
+ * Sensor channels come back too: extra columns of the CSV export,
+ * sensor: GPX extensions other than the built-in fields, and mapped
+ * fields that are not built-in but are valid channel names.
+ *
+ * Parsing only converts values. Range and type checks are left to
+ * validateBatch, so imported points are held to the same rules as
+ * uploads; every point comes with the line it was read from so
+ * rejections can point at the file.
+ */
+
+const { SENSOR_POINT_SCHEMA } = require('./sensorSchema');
+const { CSV_HEADERS } = require('./exporters');
+const { isChannelName } = require('./sensorChannels');
+
+const IMPORT_FORMATS = ['csv', 'gpx'];
+const TIME_FORMATS = ['auto', 'ms', 's', 'iso'];
+
+// Point fields a file may provide (session and device come from the request)
+const IMPORTABLE_FIELDS = Object.keys(SENSOR_POINT_SCHEMA).filter(field => field !== 'sessionId' && field !== 'deviceId');
+
+// Columns of our own CSV that are computed on export
+const DERIVED_CSV_COLUMNS = ['datetime', 'seconds_elapsed', 'mode'];
+
+// GPX child elements (by local name, any namespace prefix) -> point field
+const GPX_FIELDS = {
+  ele: 'altitude',
+  speed: 'speed',
+  course: 'heading',
+  accuracy: 'accuracy',
+  accel_x: 'accel_x',
+  accel_y: 'accel_y',
+  accel_z: 'accel_z',
+  accel_magnitude: 'accel_magnitude'
+};
+
+// Below this a numeric time is taken as seconds (1e11 ms is March 1973)
+const SECONDS_THRESHOLD = 1e11;
+
+/**
+ * Numbers as numbers; anything else is passed on for validation to reject
+ */
+function toValue(raw) {
+  const text = raw.trim();
+  if (text === '') {
+    return undefined;
+  }
+  const number = Number(text);
+  return Number.isFinite(number) ? number : text;
+}
+
+function toTimestamp(raw, timeFormat) {
+  const text = raw.trim();
+  if (text === '') {
+    return undefined;
+  }
+
+  const number = Number(text);
+  const numeric = Number.isFinite(number);
+
+  if (timeFormat === 'ms' || timeFormat === 's') {
+    return numeric ? (timeFormat === 's' ? Math.round(number * 1000) : number) : text;
+  }
+  if (numeric && timeFormat === 'auto') {
+    return number < SECONDS_THRESHOLD ? Math.round(number * 1000) : number;
+  }
+
+  const parsed = Date.parse(text);
+  return Number.isNaN(parsed) ? text : parsed;
+}
+
+/**
+ * Comma, semicolon or tab, whichever the header row uses most
+ */
+function detectDelimiter(content) {
+  const header = content.slice(0, content.indexOf('\n') === -1 ? content.length : content.indexOf('\n'));
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, header.split(delimiter).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * RFC 4180 CSV: quoted fields may contain delimiters, quotes ("") and newlines
+ * Returns [{ line, fields }] without blank rows
+ */
+function parseCsvRows(content, delimiter) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n') {
+      endRow();
+      line++;
+      rowLine = line;
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Parse ?columns=timestamp:time,latitude:lat into { field: column }
+ * Returns { columns, errors }
+ */
+function parseColumnMapping(value) {
+  const columns = {};
+  const errors = [];
+
+  String(value).split(',').forEach(pair => {
+    const separator = pair.indexOf(':');
+    const field = pair.slice(0, separator).trim();
+    const column = pair.slice(separator + 1).trim();
+
+    if (separator === -1 || !field || !column) {
+      errors.push(`"${pair}" must look like field:column`);
+    } else if (!IMPORTABLE_FIELDS.includes(field) && !isChannelName(field)) {
+      errors.push(`Unknown field "${field}" (expected one of: ${IMPORTABLE_FIELDS.join(', ')}, or a channel name)`);
+    } else {
+      columns[field] = column;
+    }
+  });
+
+  if (errors.length === 0 && !columns.timestamp) {
+    errors.push('columns must map timestamp');
+  }
+  return { columns, errors };
+}
+
+/**
+ * Our own export layout: known headers by name, derived columns skipped,
+ * channel columns after them
+ */
+function ownCsvMapping(header) {
+  const columns = {};
+  header.forEach(name => {
+    const builtIn = CSV_HEADERS.includes(name);
+    if ((builtIn && !DERIVED_CSV_COLUMNS.includes(name)) || (!builtIn && isChannelName(name))) {
+      columns[name] = name;
+    }
+  });
+  return columns;
+}
+
+function parseCsv(content, { columns, timeFormat = 'auto' }) {
+  const rows = parseCsvRows(content, detectDelimiter(content));
+  if (rows.length === 0) {
+    return { success: false, error: 'The file is empty' };
+  }
+
+  const header = rows[0].fields.map(name => name.trim());
+  const mapping = columns || ownCsvMapping(header);
+  const usesDatetime = !columns && header.includes('datetime');
+
+  if (!columns && !header.includes('timestamp')) {
+    return {
+      success: false,
+      error: `Header has no timestamp column; expected the export layout (${CSV_HEADERS.join(',')}) or a columns mapping`
+    };
+  }
+
+  const missing = Object.values(mapping).filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    return { success: false, error: `Columns not found in the header: ${missing.join(', ')}` };
+  }
+
+  const indexes = Object.entries(mapping).map(([field, column]) => [field, header.indexOf(column)]);
+  const datetimeIndex = header.indexOf('datetime');
+
+  const points = [];
+  const lines = [];
+  rows.slice(1).forEach(row => {
+    const point = {};
+    indexes.forEach(([field, index]) => {
+      const raw = row.fields[index] || '';
+      const value = field === 'timestamp'
+        ? toTimestamp(raw, columns ? timeFormat : 'ms')
+        : toValue(raw);
+      if (value !== undefined) {
+        point[field] = value;
+      }
+    });
+    if (point.timestamp === undefined && usesDatetime) {
+      const value = toTimestamp(row.fields[datetimeIndex] || '', 'iso');
+      if (value !== undefined) point.timestamp = value;
+    }
+    points.push(point);
+    lines.push(row.line);
+  });
+
+  const channels = Object.keys(mapping).filter(field => !IMPORTABLE_FIELDS.includes(field));
+  return { success: true, points, lines, channels };
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+function xmlAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return match ? match[1] : '';
+}
+
+function parseGpx(content) {
+  if (!/<gpx[\s>]/.test(content)) {
+    return { success: false, error: 'Not a GPX file (no <gpx> element)' };
+  }
+
+  const points = [];
+  const lines = [];
+  const pointPattern = /<(trkpt|rtept)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  const childPattern = /<(?:([\w-]+):)?([\w-]+)>([^<]*)<\/(?:[\w-]+:)?\2>/g;
+  const channels = new Set();
+  let line = 1;
+  let scanned = 0;
+  let match;
+
+  while ((match = pointPattern.exec(content)) !== null) {
+    for (; scanned < match.index; scanned++) {
+      if (content[scanned] === '\n') line++;
+    }
+
+    const [, , attributes, body = ''] = match;
+    const point = {
+      latitude: toValue(xmlAttribute(attributes, 'lat')),
+      longitude: toValue(xmlAttribute(attributes, 'lon'))
+    };
+
+    let child;
+    while ((child = childPattern.exec(body)) !== null) {
+      const [, prefix, name, text] = child;
+      if (name === 'time') {
+        point.timestamp = toTimestamp(decodeXml(text), 'iso');
+      } else if (GPX_FIELDS[name]) {
+        point[GPX_FIELDS[name]] = toValue(decodeXml(text));
+      } else if (prefix === 'sensor' && isChannelName(name)) {
+        point[name] = toValue(decodeXml(text));
+        channels.add(name);
+      }
+    }
+
+    Object.keys(point).forEach(field => point[field] === undefined && delete point[field]);
+    points.push(point);
+    lines.push(line);
+  }
+
+  if (points.length === 0) {
+    return { success: false, error: 'No track or route points found' };
+  }
+  return { success: true, points, lines, channels: [...channels] };
+}
+
+/**
+ * Import options from query parameters: ?format=csv|gpx,
+ * ?columns=field:column,..., ?timeFormat=auto|ms|s|iso
+ * The format defaults to the one the Content-Type names
+ * Returns { options, errors }
+ */
+function parseImportQuery(params, contentType = '') {
+  const options = {};
+  const errors = [];
+
+  const format = params.format || (/gpx|xml/i.test(contentType) ? 'gpx' : 'csv');
+  if (!IMPORT_FORMATS.includes(format)) {
+    errors.push(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+  options.format = format;
+
+  if (params.columns !== undefined) {
+    if (format !== 'csv') {
+      errors.push('columns only applies to CSV imports');
+    } else {
+      const { columns, errors: mappingErrors } = parseColumnMapping(params.columns);
+      errors.push(...mappingErrors);
+      options.columns = columns;
+    }
+  }
+
+  if (params.timeFormat !== undefined) {
+    if (!TIME_FORMATS.includes(params.timeFormat)) {
+      errors.push(`timeFormat must be one of: ${TIME_FORMATS.join(', ')}`);
+    } else if (!options.columns) {
+      errors.push('timeFormat only applies together with columns');
+    } else {
+      options.timeFormat = params.timeFormat;
+    }
+  }
+
+  return { options, errors };
+}
+
+/**
+ * Parse an uploaded file into points, oldest first
+ * Returns { success, points, lines, channels } or { success: false, error }
+ * (channels: names of the sensor channels found)
+ */
+function importPoints(content, { format = 'csv', ...options } = {}) {
+  const text = content.replace(/^\uFEFF/, '');
+  const result = format === 'gpx' ? parseGpx(text) : parseCsv(text, options);
+  if (!result.success) {
+    return result;
+  }
+
+  // Keep line numbers attached while sorting
+  const order = result.points.map((point, index) => index);
+  const sortKey = index => (typeof result.points[index].timestamp === 'number' ? result.points[index].timestamp : Infinity);
+  order.sort((a, b) => sortKey(a) - sortKey(b) || a - b);
+
+  return {
+    success: true,
+    points: order.map(index => result.points[index]),
+    lines: order.map(index => result.lines[index]),
+    channels: result.channels
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  parseImportQuery,
+  importPoints
+};
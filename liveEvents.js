@@ -0,0 +1,169 @@
+/**
+ * Live Events
+ *
+ * In-process publish/subscribe hub behind the Server-Sent Events
+ * streams. Two channels are used:
+ * - sensor: one `points` event per accepted upload batch
+ * - bikes: one `stations` event per feed per fetcher run, carrying the
+ *          stations whose state changed
+ *
+ * Every event gets an id of the form `<bootId>-<sequence>` (sequences are
+ * per channel), and recent events are kept so a reconnecting client can
+ * resume from its Last-Event-ID. The replay buffer only covers a short
+ * reconnect window: events older than REPLAY_LIMITS.maxAgeMs are dropped,
+ * and so are the oldest ones once a channel holds more than
+ * REPLAY_LIMITS.maxBytes of event data (sensor events carry whole upload
+ * batches). When the requested id is no longer buffered (or comes from
+ * before a restart) the subscriber is told with a `gap` event and should
+ * reload through the REST API.
+ */
+
+const { logger } = require('./logger');
+
+const REPLAY_LIMITS = {
+  maxAgeMs: 5 * 60 * 1000,
+  maxBytes: 8 * 1024 * 1024    // per channel, measured as serialised JSON
+};
+
+const CHANNELS = ['sensor', 'bikes'];
+
+// Distinguishes event ids issued before and after a restart
+const bootId = Date.now().toString(36);
+
+// channel -> { sequence, buffer: [event], bufferedBytes, subscribers: Set<listener> }
+const channels = new Map(CHANNELS.map(name => [name, { sequence: 0, buffer: [], bufferedBytes: 0, subscribers: new Set() }]));
+
+function getChannel(name) {
+  const channel = channels.get(name);
+  if (!channel) {
+    throw new Error(`Unknown event channel "${name}"`);
+  }
+  return channel;
+}
+
+// Sequence number of an event id from this boot, or null
+function parseEventId(id) {
+  const match = /^([a-z0-9]+)-(\d+)$/.exec(String(id || ''));
+  if (!match || match[1] !== bootId) {
+    return null;
+  }
+  return parseInt(match[2], 10);
+}
+
+// Drop buffered events past the age or size limit, oldest first
+function trimBuffer(channel, now = Date.now()) {
+  const { buffer } = channel;
+  while (buffer.length > 0 &&
+    (channel.bufferedBytes > REPLAY_LIMITS.maxBytes || now - buffer[0].publishedMs > REPLAY_LIMITS.maxAgeMs)) {
+    channel.bufferedBytes -= buffer.shift().size;
+  }
+}
+
+/**
+ * Publish an event to every subscriber of a channel
+ */
+function publish(channelName, type, data) {
+  const channel = getChannel(channelName);
+  const sequence = ++channel.sequence;
+  const now = Date.now();
+  const event = {
+    id: `${bootId}-${sequence}`,
+    sequence,
+    type,
+    data,
+    publishedAt: new Date(now).toISOString()
+  };
+
+  // size and publishedMs are bookkeeping, kept off the event listeners get
+  channel.buffer.push({ ...event, size: JSON.stringify(data).length, publishedMs: now });
+  channel.bufferedBytes += channel.buffer[channel.buffer.length - 1].size;
+  trimBuffer(channel, now);
+
+  channel.subscribers.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      logger.error('Live event listener failed', { channel: channelName, error });
+    }
+  });
+
+  return event;
+}
+
+/**
+ * Buffered events after lastEventId
+ * gap is true when some events after lastEventId are no longer available
+ */
+function eventsSince(channelName, lastEventId) {
+  const channel = getChannel(channelName);
+  trimBuffer(channel);
+  const { buffer, sequence } = channel;
+  const lastSequence = parseEventId(lastEventId);
+
+  if (lastSequence === null) {
+    return { events: [], gap: true };
+  }
+
+  const events = buffer
+    .filter(event => event.sequence > lastSequence)
+    .map(({ size, publishedMs, ...event }) => event);
+  // Every event from lastSequence + 1 on must still be buffered
+  const oldest = buffer.length > 0 ? buffer[0].sequence : sequence + 1;
+  const gap = lastSequence + 1 < oldest;
+
+  return { events, gap };
+}
+
+/**
+ * Subscribe to a channel, replaying buffered events after lastEventId first
+ * listener(event) is called with { id, type, data, publishedAt }; a `gap`
+ * event is delivered when the replay is incomplete
+ * Returns an unsubscribe function
+ */
+function subscribe(channelName, listener, { lastEventId = null } = {}) {
+  const channel = getChannel(channelName);
+
+  if (lastEventId) {
+    const { events, gap } = eventsSince(channelName, lastEventId);
+    if (gap) {
+      // Carries the id just before the first replayed event, so a client
+      // reconnecting after it resumes without another gap
+      const resumeFrom = events.length > 0 ? events[0].sequence - 1 : channel.sequence;
+      listener({
+        id: `${bootId}-${resumeFrom}`,
+        type: 'gap',
+        data: { lastEventId, message: 'Some events are no longer available; reload current state' },
+        publishedAt: new Date().toISOString()
+      });
+    }
+    events.forEach(listener);
+  }
+
+  channel.subscribers.add(listener);
+  return () => channel.subscribers.delete(listener);
+}
+
+/**
+ * Subscriber counts and buffer sizes per channel
+ */
+function getLiveStats() {
+  const stats = {};
+  channels.forEach((channel, name) => {
+    trimBuffer(channel);
+    stats[name] = {
+      subscribers: channel.subscribers.size,
+      buffered: channel.buffer.length,
+      bufferedBytes: channel.bufferedBytes,
+      lastEventId: channel.sequence > 0 ? `${bootId}-${channel.sequence}` : null
+    };
+  });
+  return { bootId, channels: stats };
+}
+
+module.exports = {
+  CHANNELS,
+  REPLAY_LIMITS,
+  publish,
+  subscribe,
+  getLiveStats
+};
@@ -0,0 +1,115 @@
+/**
+ * Structured Logging
+ *
+ * One JSON object per line on stdout:
+ *
+ *   {"time":"2025-03-01T08:00:00.000Z","level":"info","msg":"Stored sensor points","requestId":"…","points":50}
+ *
+ * Levels are debug < info < warn < error; LOG_LEVEL (default info) sets
+ * the minimum. LOG_FORMAT=pretty prints readable lines for local
+ * development instead.
+ *
+ * requestContext() gives every request an id (the incoming X-Request-Id
+ * when it looks sane, otherwise a new UUID), echoes it in the response
+ * header and keeps it in AsyncLocalStorage, so any log line written while
+ * handling the request carries it without passing it around.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const PRETTY_LABELS = { debug: 'DEBUG', info: 'INFO ', warn: 'WARN ', error: 'ERROR' };
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const context = new AsyncLocalStorage();
+
+function minimumLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+}
+
+function isPretty() {
+  return process.env.LOG_FORMAT === 'pretty';
+}
+
+// Error objects do not serialise to JSON; keep their message and stack
+function normaliseFields(fields) {
+  const normalised = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value instanceof Error) {
+      normalised[key] = value.message;
+      if (value.stack) normalised.stack = value.stack;
+    } else if (value !== undefined) {
+      normalised[key] = value;
+    }
+  });
+  return normalised;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < minimumLevel()) {
+    return;
+  }
+
+  const store = context.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(store && { requestId: store.requestId }),
+    ...normaliseFields(fields)
+  };
+
+  if (isPretty()) {
+    const { time, level: _level, msg: _msg, stack, ...rest } = entry;
+    const extras = Object.entries(rest)
+      .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+      .join(' ');
+    process.stdout.write(`${time} ${PRETTY_LABELS[level]} ${msg}${extras ? ' ' + extras : ''}\n${stack ? stack + '\n' : ''}`);
+    return;
+  }
+
+  process.stdout.write(JSON.stringify(entry) + '\n');
+}
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+/**
+ * Express middleware: assign a request id and log each completed request
+ * Mount after the body parser so the context covers the route handlers
+ */
+function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  res.on('close', () => {
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    context.run({ requestId }, () => {
+      write(level, 'Request completed', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10
+      });
+    });
+  });
+
+  context.run({ requestId }, next);
+}
+
+module.exports = {
+  LEVELS,
+  logger,
+  requestContext
+};
@@ -0,0 +1,189 @@
+/**
+ * Prometheus Metrics
+ *
+ * A small in-process registry rendered in the Prometheus text format
+ * (version 0.0.4) by GET /metrics. Counters and histograms are updated
+ * where things happen; gauges with a collect function are read at
+ * scrape time. HTTP requests are labelled by their Express route pattern
+ * (e.g. /api/sessions/:id/data), never the raw URL, so ids cannot blow up
+ * the number of series.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))).join('\u0000');
+}
+
+function formatLabels(labelNames, key, extra = '') {
+  const values = key === '' && labelNames.length === 0 ? [] : key.split('\u0000');
+  const pairs = labelNames.map((name, index) => `${name}="${escapeLabel(values[index])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+function counter(name, help, labelNames = []) {
+  const values = new Map();
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render() {
+      return [...values].map(([key, value]) => `${name}${formatLabels(labelNames, key)} ${value}`);
+    }
+  });
+}
+
+/**
+ * Gauge set directly, or computed at scrape time by collect(), which
+ * returns a number or a list of [labels, value] pairs
+ */
+function gauge(name, help, labelNames = [], collect = null) {
+  const values = new Map();
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    set(labels, value) {
+      values.set(labelKey(labelNames, labels), value);
+    },
+    render() {
+      if (collect) {
+        const collected = collect();
+        const pairs = typeof collected === 'number' ? [[{}, collected]] : collected;
+        return pairs.map(([labels, value]) => `${name}${formatLabels(labelNames, labelKey(labelNames, labels))} ${value}`);
+      }
+      return [...values].map(([key, value]) => `${name}${formatLabels(labelNames, key)} ${value}`);
+    }
+  });
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();     // key -> { counts per bucket, sum, count }
+  const metric = {
+    name,
+    help,
+    type: 'histogram',
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    // Returns a function that observes the seconds elapsed since the call
+    startTimer(labels) {
+      const started = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        metric.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - started) / 1e9);
+      };
+    },
+    render() {
+      const lines = [];
+      series.forEach((entry, key) => {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, key, `le="${bound}"`)} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, key, 'le="+Inf"')} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, key)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, key)} ${entry.count}`);
+      });
+      return lines;
+    }
+  };
+  return register(metric);
+}
+
+/**
+ * Every metric in the text exposition format
+ */
+function renderMetrics() {
+  const blocks = [];
+  registry.forEach(metric => {
+    const lines = metric.render();
+    if (lines.length === 0) {
+      return;
+    }
+    blocks.push([`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...lines].join('\n'));
+  });
+  return blocks.join('\n') + '\n';
+}
+
+// HTTP
+const httpRequests = counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route']);
+
+// Ingestion
+const sensorPointsIngested = counter('sensor_points_ingested_total', 'Sensor points accepted from uploads');
+const sensorPointsRejected = counter('sensor_points_rejected_total', 'Sensor points rejected by validation');
+const sensorPointsDuplicate = counter('sensor_points_duplicate_total', 'Sensor points ignored as duplicates');
+
+// Storage (both backends) and Firestore batches
+const storageOperations = counter('storage_operations_total', 'Storage writes by backend, operation and result', ['backend', 'operation', 'result']);
+const storageDuration = histogram('storage_operation_duration_seconds', 'Storage write latency', ['backend', 'operation']);
+const firestoreBatches = counter('firestore_batch_commits_total', 'Firestore batch commits by collection and result', ['collection', 'result']);
+const firestoreBatchDuration = histogram('firestore_batch_commit_duration_seconds', 'Firestore batch commit latency', ['collection']);
+
+// Bike fetcher
+const fetcherRuns = counter('bike_fetcher_runs_total', 'Bike fetcher runs by feed, trigger and result', ['feed', 'trigger', 'result']);
+const fetcherDuration = histogram('bike_fetcher_run_duration_seconds', 'Bike fetcher run duration', ['feed'], [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]);
+
+// Process
+gauge('process_uptime_seconds', 'Seconds since the process started', [], () => process.uptime());
+gauge('process_resident_memory_bytes', 'Resident memory size', [], () => process.memoryUsage().rss);
+gauge('nodejs_heap_used_bytes', 'V8 heap in use', [], () => process.memoryUsage().heapUsed);
+
+/**
+ * Express middleware recording request counts and latency per route
+ */
+function httpMetrics(req, res, next) {
+  const started = process.hrtime.bigint();
+  res.on('close', () => {
+    // Unmatched requests share one label so scanners cannot create series
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+  });
+  next();
+}
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  renderMetrics,
+  httpMetrics,
+  sensorPointsIngested,
+  sensorPointsRejected,
+  sensorPointsDuplicate,
+  storageOperations,
+  storageDuration,
+  firestoreBatches,
+  firestoreBatchDuration,
+  fetcherRuns,
+  fetcherDuration
+};
@@ -0,0 +1,295 @@
+/**
+ * Transport Mode Detection
+ *
+ * Rule-based classifier labelling parts of a session as stationary,
+ * walking, cycling or motorised. Points are grouped into fixed time
+ * windows; each window gets speed percentiles and accelerometer
+ * variability features, is classified by the rules below, and
+ * consecutive windows with the same mode are merged into segments.
+ */
+
+const { pointDistance, hasPosition } = require('./geoUtils');
+const { accelMagnitude } = require('./tripAnalytics');
+
+const MODES = ['stationary', 'walking', 'cycling', 'motorised'];
+
+const DEFAULT_OPTIONS = {
+  windowSeconds: 30
+};
+
+// Thresholds used by classifyWindow (speeds in m/s, accel in m/s²)
+const RULES = {
+  stationarySpeed: 0.5,     // median speed below this => not travelling
+  walkingAccelStd: 1.2,     // step impacts make walking accel very variable
+  walkingSpeed: 2.8,        // p85 speed up to ~10 km/h
+  cyclingSpeed: 8.5,        // p85 speed up to ~30 km/h
+  cyclingAccelStd: 0.6,     // pedalling/road vibration vs smooth vehicle ride
+  motorisedSpeed: 12        // p95 above ~43 km/h is never a bike
+};
+
+function round(value, decimals = 2) {
+  if (value === null || !Number.isFinite(value)) {
+    return null;
+  }
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function percentile(sorted, q) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * q))];
+}
+
+function standardDeviation(values) {
+  if (values.length < 2) {
+    return null;
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+}
+
+/**
+ * Speed at each GPS fix: reported speed, or distance/time from the previous fix
+ */
+function fixSpeeds(points) {
+  const speeds = new Map();
+  let previous = null;
+
+  points.forEach(point => {
+    if (!hasPosition(point)) {
+      return;
+    }
+    if (typeof point.speed === 'number' && point.speed >= 0) {
+      speeds.set(point, point.speed);
+    } else if (previous && point.timestamp > previous.timestamp) {
+      speeds.set(point, pointDistance(previous, point) / ((point.timestamp - previous.timestamp) / 1000));
+    }
+    previous = point;
+  });
+
+  return speeds;
+}
+
+/**
+ * Windowed features for a group of points
+ */
+function windowFeatures(points, speeds) {
+  const windowSpeeds = points
+    .map(point => speeds.get(point))
+    .filter(speed => speed !== undefined)
+    .sort((a, b) => a - b);
+  const magnitudes = points.map(accelMagnitude).filter(value => value !== null);
+
+  return {
+    pointCount: points.length,
+    speedCount: windowSpeeds.length,
+    speedP50: round(percentile(windowSpeeds, 0.5)),
+    speedP85: round(percentile(windowSpeeds, 0.85)),
+    speedP95: round(percentile(windowSpeeds, 0.95)),
+    accelCount: magnitudes.length,
+    accelStd: round(standardDeviation(magnitudes), 3)
+  };
+}
+
+/**
+ * Classify one window from its features
+ * Returns { mode, confidence }; mode is 'unknown' without usable data
+ */
+function classifyWindow(features) {
+  const { speedP50, speedP85, speedP95, accelStd } = features;
+  const hasSpeed = speedP50 !== null;
+  const hasAccel = accelStd !== null;
+
+  if (!hasSpeed && !hasAccel) {
+    return { mode: 'unknown', confidence: 0 };
+  }
+
+  // Accelerometer only: can separate still from walking, little else
+  if (!hasSpeed) {
+    return accelStd >= RULES.walkingAccelStd
+      ? { mode: 'walking', confidence: 0.4 }
+      : { mode: 'stationary', confidence: 0.4 };
+  }
+
+  if (speedP95 > RULES.motorisedSpeed) {
+    return { mode: 'motorised', confidence: 0.9 };
+  }
+
+  if (speedP50 < RULES.stationarySpeed) {
+    if (hasAccel && accelStd >= RULES.walkingAccelStd) {
+      return { mode: 'walking', confidence: 0.5 };
+    }
+    return { mode: 'stationary', confidence: hasAccel ? 0.9 : 0.7 };
+  }
+
+  if (speedP85 <= RULES.walkingSpeed) {
+    return { mode: 'walking', confidence: hasAccel && accelStd >= RULES.walkingAccelStd ? 0.85 : 0.65 };
+  }
+
+  if (speedP85 <= RULES.cyclingSpeed) {
+    if (!hasAccel) {
+      return { mode: 'cycling', confidence: 0.5 };
+    }
+    return accelStd >= RULES.cyclingAccelStd
+      ? { mode: 'cycling', confidence: 0.75 }
+      : { mode: 'motorised', confidence: 0.6 };
+  }
+
+  return { mode: 'motorised', confidence: 0.75 };
+}
+
+/**
+ * Split sorted points into fixed windows and classify each one
+ */
+function classifyWindows(sorted, windowSeconds) {
+  if (sorted.length === 0) {
+    return [];
+  }
+
+  const speeds = fixSpeeds(sorted);
+  const windowMs = windowSeconds * 1000;
+  const origin = sorted[0].timestamp;
+  const windows = [];
+  let current = null;
+
+  sorted.forEach(point => {
+    const index = Math.floor((point.timestamp - origin) / windowMs);
+    if (!current || current.index !== index) {
+      current = { index, points: [] };
+      windows.push(current);
+    }
+    current.points.push(point);
+  });
+
+  return windows.map(window => {
+    const features = windowFeatures(window.points, speeds);
+    return {
+      startTime: origin + window.index * windowMs,
+      endTime: origin + (window.index + 1) * windowMs,
+      points: window.points,
+      features,
+      ...classifyWindow(features)
+    };
+  });
+}
+
+/**
+ * Replace isolated single windows sandwiched between two windows of
+ * the same mode (e.g. walking at a red light inside a cycling trip)
+ */
+function smoothWindows(windows) {
+  for (let i = 1; i < windows.length - 1; i++) {
+    const before = windows[i - 1].mode;
+    if (before === windows[i + 1].mode && windows[i].mode !== before) {
+      windows[i].mode = before;
+      windows[i].confidence = round(windows[i].confidence / 2);
+    }
+  }
+  return windows;
+}
+
+/**
+ * Merge consecutive windows with the same mode into segments
+ */
+function buildSegments(windows) {
+  const segments = [];
+
+  windows.forEach(window => {
+    const last = segments[segments.length - 1];
+    if (last && last.mode === window.mode) {
+      last.windows.push(window);
+    } else {
+      segments.push({ mode: window.mode, windows: [window] });
+    }
+  });
+
+  return segments.map(({ mode, windows: group }) => {
+    const points = group.flatMap(window => window.points);
+    const fixes = points.filter(hasPosition);
+    let distance = 0;
+    for (let i = 1; i < fixes.length; i++) {
+      distance += pointDistance(fixes[i - 1], fixes[i]);
+    }
+
+    const startTime = points[0].timestamp;
+    const endTime = points[points.length - 1].timestamp;
+
+    return {
+      mode,
+      startTime: new Date(startTime).toISOString(),
+      endTime: new Date(endTime).toISOString(),
+      startTimestamp: startTime,
+      endTimestamp: endTime,
+      durationSeconds: round((endTime - startTime) / 1000, 1),
+      distanceMeters: round(distance, 1),
+      confidence: round(group.reduce((sum, window) => sum + window.confidence, 0) / group.length),
+      windowCount: group.length,
+      pointCount: points.length
+    };
+  });
+}
+
+/**
+ * Detect transport modes for a session's points
+ */
+function detectModes(points, overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const sorted = [...points].sort((a, b) => a.timestamp - b.timestamp);
+  const windows = smoothWindows(classifyWindows(sorted, options.windowSeconds));
+  const segments = buildSegments(windows);
+
+  const totals = {};
+  [...MODES, 'unknown'].forEach(mode => {
+    totals[mode] = { durationSeconds: 0, distanceMeters: 0 };
+  });
+  segments.forEach(segment => {
+    totals[segment.mode].durationSeconds = round(totals[segment.mode].durationSeconds + segment.durationSeconds, 1);
+    totals[segment.mode].distanceMeters = round(totals[segment.mode].distanceMeters + segment.distanceMeters, 1);
+  });
+
+  return {
+    segments,
+    totals,
+    windows: windows.map(({ points: windowPoints, startTime, endTime, ...window }) => ({
+      startTime: new Date(startTime).toISOString(),
+      endTime: new Date(endTime).toISOString(),
+      ...window
+    })),
+    options
+  };
+}
+
+/**
+ * Copy points with a `mode` field taken from the segment they fall in
+ * Points are visited in time order alongside the (time-ordered) segments,
+ * so this is one pass over each; the copies keep the input order
+ */
+function labelPoints(points, segments) {
+  const order = points.map((point, index) => index)
+    .sort((a, b) => points[a].timestamp - points[b].timestamp);
+  const labelled = new Array(points.length);
+  let current = 0;
+
+  order.forEach(index => {
+    const point = points[index];
+    while (current < segments.length && segments[current].endTimestamp < point.timestamp) {
+      current++;
+    }
+    const segment = segments[current];
+    const inside = segment && point.timestamp >= segment.startTimestamp;
+    labelled[index] = { ...point, mode: inside ? segment.mode : 'unknown' };
+  });
+
+  return labelled;
+}
+
+module.exports = {
+  MODES,
+  DEFAULT_OPTIONS,
+  RULES,
+  classifyWindow,
+  detectModes,
+  labelPoints
+};
@@ -0,0 +1,257 @@
+/**
+ * Sensor Data Outbox
+ *
+ * Durable queue for sensor batches the storage backend failed to write.
+ * Each failed batch is saved as one JSON file in OUTBOX_DIR (default
+ * ./data/outbox), so it survives a restart, and is replayed in the
+ * background with exponential backoff until the write succeeds. Points
+ * keep their pointKey, so a replay that partly succeeded before is
+ * written again without creating duplicates.
+ *
+ * Batches are replayed oldest first; the first failure stops the pass
+ * and schedules the next one, since the backend is most likely still down.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const OUTBOX_DEFAULTS = {
+  backoffMs: 5000,              // first retry delay, doubled per failed pass
+  maxBackoffMs: 10 * 60 * 1000
+};
+
+const state = {
+  dir: null,
+  write: null,
+  entries: new Map(),           // id -> { id, enqueuedAt, attempts, points, lastError }
+  timer: null,
+  replaying: false,
+  currentReplay: null,          // promise of the replay pass in progress
+  closed: false,
+  failedPasses: 0,
+  nextAttemptAt: null,
+  lastAttemptAt: null,
+  lastSyncAt: null,
+  lastError: null
+};
+
+function defaultDir() {
+  const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+  return process.env.OUTBOX_DIR || path.join(dataDir, 'outbox');
+}
+
+function entryPath(id) {
+  return path.join(state.dir, `${id}.json`);
+}
+
+// Write to a temp file first so a crash never leaves a half-written entry
+async function saveEntry(entry) {
+  const target = entryPath(entry.id);
+  await fs.promises.writeFile(`${target}.tmp`, JSON.stringify(entry), 'utf-8');
+  await fs.promises.rename(`${target}.tmp`, target);
+}
+
+/**
+ * Load queued batches from disk and start replaying them
+ * write(points) must resolve to the storage result ({ success, error })
+ */
+function initializeOutbox({ dir = defaultDir(), write }) {
+  state.dir = dir;
+  state.write = write;
+  fs.mkdirSync(dir, { recursive: true });
+
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      try {
+        const entry = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+        state.entries.set(entry.id, entry);
+      } catch (error) {
+        logger.error('Skipping unreadable outbox entry', { file, error: error.message });
+      }
+    });
+
+  if (state.entries.size > 0) {
+    logger.info('Replaying queued outbox batches', { batches: state.entries.size });
+    scheduleReplay(0);
+  }
+}
+
+/**
+ * Persist a batch that could not be written; resolves once it is on disk
+ */
+async function enqueueBatch(points, error) {
+  const entry = {
+    // Sortable by enqueue time so replays go oldest first
+    id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+    enqueuedAt: new Date().toISOString(),
+    attempts: 1,
+    lastError: error,
+    points
+  };
+
+  await saveEntry(entry);
+  state.entries.set(entry.id, entry);
+  state.lastError = error;
+  logger.warn('Queued sensor points in the outbox', { points: points.length, batches: state.entries.size, error });
+
+  if (!state.timer && !state.replaying) {
+    scheduleReplay(backoffDelay());
+  }
+  return entry;
+}
+
+/**
+ * Note a successful direct write: updates the last sync time and, since
+ * the backend is reachable again, replays queued batches right away
+ */
+function recordSync() {
+  state.lastSyncAt = new Date().toISOString();
+  if (state.entries.size > 0 && !state.replaying) {
+    scheduleReplay(0);
+  }
+}
+
+function backoffDelay() {
+  const delay = Math.min(OUTBOX_DEFAULTS.backoffMs * 2 ** state.failedPasses, OUTBOX_DEFAULTS.maxBackoffMs);
+  return delay * (0.5 + Math.random() / 2);
+}
+
+function scheduleReplay(delay) {
+  if (state.closed) {
+    return;
+  }
+  clearTimeout(state.timer);
+  state.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    replayOutbox();
+  }, delay);
+  // Never keep the process alive just for a retry
+  state.timer.unref();
+}
+
+/**
+ * Try to write every queued batch, oldest first
+ * Returns { replayed, remaining, error }
+ */
+async function replayOutbox() {
+  if (state.replaying) {
+    return { replayed: 0, remaining: state.entries.size, error: 'Replay already in progress' };
+  }
+
+  state.currentReplay = replayEntries();
+  return state.currentReplay;
+}
+
+async function replayEntries() {
+  clearTimeout(state.timer);
+  state.timer = null;
+  state.replaying = true;
+  state.nextAttemptAt = null;
+  let replayed = 0;
+  let failure = null;
+
+  try {
+    const ids = [...state.entries.keys()].sort();
+    for (const id of ids) {
+      const entry = state.entries.get(id);
+      state.lastAttemptAt = new Date().toISOString();
+
+      let result;
+      try {
+        result = await state.write(entry.points);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      if (!result.success) {
+        failure = result.error;
+        entry.attempts++;
+        entry.lastError = failure;
+        await saveEntry(entry);
+        break;
+      }
+
+      await fs.promises.rm(entryPath(id), { force: true });
+      state.entries.delete(id);
+      replayed++;
+      state.lastSyncAt = new Date().toISOString();
+    }
+  } catch (error) {
+    failure = error.message;
+  } finally {
+    state.replaying = false;
+  }
+
+  if (replayed > 0) {
+    logger.info('Replayed outbox batches', { replayed, remaining: state.entries.size });
+  }
+
+  if (failure) {
+    state.failedPasses++;
+    state.lastError = failure;
+    logger.warn('Outbox replay failed', { error: failure, remaining: state.entries.size });
+  } else {
+    state.failedPasses = 0;
+    state.lastError = null;
+  }
+
+  if (state.entries.size > 0) {
+    scheduleReplay(backoffDelay());
+  }
+
+  return { replayed, remaining: state.entries.size, error: failure };
+}
+
+/**
+ * Stop scheduling replays (used on shutdown): waits for a pass in
+ * progress, then makes one last attempt at anything still queued
+ * Batches that still fail stay on disk for the next start
+ */
+async function closeOutbox() {
+  state.closed = true;
+  clearTimeout(state.timer);
+  state.timer = null;
+
+  if (state.replaying) {
+    await state.currentReplay;
+  }
+  if (state.entries.size > 0 && state.write) {
+    await replayEntries();
+  }
+  return { remaining: state.entries.size };
+}
+
+/**
+ * Outbox depth and sync status
+ */
+function getOutboxStatus() {
+  const entries = [...state.entries.values()];
+  const oldest = entries.reduce((min, entry) => (!min || entry.enqueuedAt < min ? entry.enqueuedAt : min), null);
+
+  return {
+    dir: state.dir,
+    depth: entries.length,
+    queuedPoints: entries.reduce((sum, entry) => sum + entry.points.length, 0),
+    oldestEnqueuedAt: oldest,
+    replaying: state.replaying,
+    failedPasses: state.failedPasses,
+    nextAttemptAt: state.nextAttemptAt,
+    lastAttemptAt: state.lastAttemptAt,
+    lastSyncAt: state.lastSyncAt,
+    lastError: state.lastError
+  };
+}
+
+module.exports = {
+  OUTBOX_DEFAULTS,
+  initializeOutbox,
+  enqueueBatch,
+  recordSync,
+  replayOutbox,
+  closeOutbox,
+  getOutboxStatus
+};
@@ -0,0 +1,698 @@
+/**
+ * Retention Job
+ *
+ * Keeps the raw collections from growing forever. Policies are configured
+ * with the RETENTION_POLICIES env variable (JSON array), e.g.
+ *
+ *   [{ "collection": "sensor_data", "maxAgeDays": 90, "rollups": ["hourly", "daily"], "archive": true },
+ *    { "collection": "dublin_bikes", "maxAgeDays": 30, "rollups": ["hourly"], "archive": true },
+ *    { "collection": "alert_events", "maxAgeDays": 180 }]
+ *
+ * and run on RETENTION_SCHEDULE (cron, default 03:30 daily). For each
+ * policy, documents older than maxAgeDays (cut at UTC midnight, so every
+ * rollup bucket is complete) are:
+ * 1. rolled up into hourly/daily aggregates in <collection>_rollups
+ * 2. written to a gzipped JSON Lines file in ARCHIVE_DIR (if archive is set)
+ * 3. deleted
+ *
+ * Each policy keeps a watermark (the cutoff of its last run) and the time
+ * of that run in `retention_state`; data after the watermark goes into new
+ * rollup buckets, so rerunning never counts anything twice. Sensor points
+ * older than the watermark are either left over from a run whose delete
+ * did not finish (stored before that run: only deleted, reported as
+ * `leftover`) or arrived since (outbox replays, imports: merged into the
+ * buckets already stored for their hour/day, reported as `late`). Points
+ * stored while a run is going are left for the next one. The dublin_bikes policy also prunes
+ * dublin_bikes_fetches and keeps each station's last change before the
+ * cutoff, which is the state the remaining history starts from.
+ *
+ * With dryRun (or RETENTION_DRY_RUN=true for scheduled runs) nothing is
+ * written; the run only reports what would be rolled up and removed.
+ */
+
+const cron = require('node-cron');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { once } = require('events');
+const { getStorage } = require('./storage');
+const { logger } = require('./logger');
+const { pointDistance, hasPosition } = require('./geoUtils');
+const { expandTimeline, newBucket, addSample, finishBucket } = require('./bikeAnalytics');
+
+const DEFAULT_SCHEDULE = '30 3 * * *';
+const RUN_HISTORY_SIZE = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ROLLUP_PERIODS = {
+  hourly: 60 * 60 * 1000,
+  daily: DAY_MS
+};
+
+// How each collection is aged and rolled up
+const COLLECTIONS = {
+  sensor_data: { field: 'timestamp', rollupCollection: 'sensor_data_rollups' },
+  dublin_bikes: { field: 'fetched_at', rollupCollection: 'dublin_bikes_rollups' },
+  alert_events: { field: 'occurredAt', rollupCollection: null }
+};
+
+const state = {
+  policies: [],
+  schedule: DEFAULT_SCHEDULE,
+  task: null,
+  running: false,
+  currentRun: null,             // promise of the run in progress
+  stopping: false,
+  runs: []
+};
+
+function archiveDir() {
+  const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+  return process.env.ARCHIVE_DIR || path.join(dataDir, 'archive');
+}
+
+function normalisePolicy(policy) {
+  const target = COLLECTIONS[policy.collection];
+  if (!target) {
+    throw new Error(`Retention: unsupported collection "${policy.collection}" (expected one of: ${Object.keys(COLLECTIONS).join(', ')})`);
+  }
+  if (!Number.isInteger(policy.maxAgeDays) || policy.maxAgeDays < 1) {
+    throw new Error(`Retention: maxAgeDays for ${policy.collection} must be a positive integer`);
+  }
+
+  const rollups = policy.rollups || [];
+  if (!Array.isArray(rollups) || rollups.some(period => !ROLLUP_PERIODS[period])) {
+    throw new Error(`Retention: rollups for ${policy.collection} must be a list of: ${Object.keys(ROLLUP_PERIODS).join(', ')}`);
+  }
+  if (rollups.length > 0 && !target.rollupCollection) {
+    throw new Error(`Retention: ${policy.collection} does not support rollups`);
+  }
+
+  return {
+    collection: policy.collection,
+    maxAgeDays: policy.maxAgeDays,
+    rollups,
+    archive: policy.archive === true
+  };
+}
+
+/**
+ * Policies from RETENTION_POLICIES (empty when unset)
+ */
+function loadRetentionConfig() {
+  if (!process.env.RETENTION_POLICIES) {
+    return [];
+  }
+  const policies = JSON.parse(process.env.RETENTION_POLICIES);
+  if (!Array.isArray(policies)) {
+    throw new Error('RETENTION_POLICIES must be a JSON array');
+  }
+  const normalised = policies.map(normalisePolicy);
+  const seen = new Set();
+  normalised.forEach(policy => {
+    if (seen.has(policy.collection)) {
+      throw new Error(`Retention: duplicate policy for ${policy.collection}`);
+    }
+    seen.add(policy.collection);
+  });
+  return normalised;
+}
+
+function bucketStart(time, period) {
+  return Math.floor(time / ROLLUP_PERIODS[period]) * ROLLUP_PERIODS[period];
+}
+
+function bucketInfo(key, period, time) {
+  const start = bucketStart(time, period);
+  return {
+    id: `${key}|${period}|${new Date(start).toISOString()}`,
+    key,
+    period,
+    bucketStart: new Date(start).toISOString(),
+    bucketEnd: new Date(start + ROLLUP_PERIODS[period]).toISOString()
+  };
+}
+
+/**
+ * Gzipped JSON Lines archive, opened on the first document
+ * Written to a temp name and renamed on finish, so a partial archive is
+ * never mistaken for a complete one
+ */
+function createArchive(collection, cutoff, runId) {
+  const file = path.join(archiveDir(), `${collection}-before-${cutoff.slice(0, 10)}-${runId}.jsonl.gz`);
+  let gzip = null;
+  let output = null;
+  let documents = 0;
+
+  return {
+    file,
+    async write(docs) {
+      if (!gzip) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        gzip = zlib.createGzip();
+        output = fs.createWriteStream(`${file}.tmp`);
+        gzip.pipe(output);
+      }
+      for (const doc of docs) {
+        if (!gzip.write(JSON.stringify(doc) + '\n')) {
+          await once(gzip, 'drain');
+        }
+      }
+      documents += docs.length;
+    },
+    async finish() {
+      if (!gzip) {
+        return { file: null, documents: 0 };
+      }
+      gzip.end();
+      await once(output, 'finish');
+      await fs.promises.rename(`${file}.tmp`, file);
+      return { file, documents };
+    },
+    // Drop an unfinished archive after a failed run
+    async abort() {
+      if (gzip) {
+        gzip.destroy();
+        output.destroy();
+        await fs.promises.rm(`${file}.tmp`, { force: true });
+      }
+    }
+  };
+}
+
+/**
+ * Sensor point rollups per device: point/fix counts, sessions, distance
+ * between consecutive fixes of a session, speed and accelerometer stats
+ */
+function createSensorRollup(periods) {
+  const buckets = new Map();
+  const lastFix = new Map();    // sessionId -> last fix seen
+
+  function bucketFor(point, period) {
+    const info = bucketInfo(point.deviceId || 'unknown', period, point.timestamp);
+    if (!buckets.has(info.id)) {
+      buckets.set(info.id, {
+        ...info,
+        deviceId: point.deviceId || null,
+        points: 0,
+        fixes: 0,
+        sessions: new Set(),
+        distanceMeters: 0,
+        speedSum: 0,
+        speedSamples: 0,
+        speedMax: null,
+        accelSum: 0,
+        accelSamples: 0,
+        accelMax: null,
+        bbox: null
+      });
+    }
+    return buckets.get(info.id);
+  }
+
+  return {
+    add(point) {
+      const previous = hasPosition(point) ? lastFix.get(point.sessionId) : null;
+      const distance = previous ? pointDistance(previous, point) : 0;
+      if (hasPosition(point)) {
+        lastFix.set(point.sessionId, point);
+      }
+
+      periods.forEach(period => {
+        const bucket = bucketFor(point, period);
+        bucket.points++;
+        if (point.sessionId) bucket.sessions.add(point.sessionId);
+        if (typeof point.speed === 'number') {
+          bucket.speedSum += point.speed;
+          bucket.speedSamples++;
+          bucket.speedMax = Math.max(bucket.speedMax ?? point.speed, point.speed);
+        }
+        if (typeof point.accel_magnitude === 'number') {
+          bucket.accelSum += point.accel_magnitude;
+          bucket.accelSamples++;
+          bucket.accelMax = Math.max(bucket.accelMax ?? point.accel_magnitude, point.accel_magnitude);
+        }
+        if (hasPosition(point)) {
+          bucket.fixes++;
+          bucket.distanceMeters += distance;
+          const box = bucket.bbox || [point.longitude, point.latitude, point.longitude, point.latitude];
+          bucket.bbox = [
+            Math.min(box[0], point.longitude),
+            Math.min(box[1], point.latitude),
+            Math.max(box[2], point.longitude),
+            Math.max(box[3], point.latitude)
+          ];
+        }
+      });
+    },
+    // Sample counts and session ids are kept so late points can be merged in
+    finish() {
+      return [...buckets.values()].map(({ sessions, speedSum, accelSum, ...bucket }) => ({
+        ...bucket,
+        sessions: sessions.size,
+        sessionIds: [...sessions],
+        distanceMeters: Math.round(bucket.distanceMeters),
+        speedMean: bucket.speedSamples > 0 ? roundMean(speedSum / bucket.speedSamples) : null,
+        accelMagnitudeMean: bucket.accelSamples > 0 ? roundMean(accelSum / bucket.accelSamples) : null
+      }));
+    }
+  };
+}
+
+function roundMean(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Mean of two means weighted by their sample counts
+function mergeMeans(meanA, samplesA, meanB, samplesB) {
+  if (meanA === null || !samplesA) return meanB;
+  if (meanB === null || !samplesB) return meanA;
+  return roundMean((meanA * samplesA + meanB * samplesB) / (samplesA + samplesB));
+}
+
+function mergeMax(a, b) {
+  return a === null || a === undefined ? b : b === null ? a : Math.max(a, b);
+}
+
+/**
+ * Fold a bucket of late points into the stored bucket with the same id
+ * Stored buckets from before sample counts were kept weigh their means by points
+ */
+function mergeSensorBucket(stored, late) {
+  if (!stored) {
+    return late;
+  }
+  const speedSamples = stored.speedSamples ?? (stored.speedMean !== null ? stored.points : 0);
+  const accelSamples = stored.accelSamples ?? (stored.accelMagnitudeMean !== null ? stored.points : 0);
+  const sessionIds = [...new Set([...(stored.sessionIds || []), ...late.sessionIds])];
+  const bbox = !stored.bbox ? late.bbox : !late.bbox ? stored.bbox : [
+    Math.min(stored.bbox[0], late.bbox[0]),
+    Math.min(stored.bbox[1], late.bbox[1]),
+    Math.max(stored.bbox[2], late.bbox[2]),
+    Math.max(stored.bbox[3], late.bbox[3])
+  ];
+
+  return {
+    ...stored,
+    points: stored.points + late.points,
+    fixes: stored.fixes + late.fixes,
+    sessions: stored.sessionIds ? sessionIds.length : stored.sessions + late.sessions,
+    sessionIds,
+    distanceMeters: stored.distanceMeters + late.distanceMeters,
+    speedSamples: speedSamples + late.speedSamples,
+    speedMean: mergeMeans(stored.speedMean, speedSamples, late.speedMean, late.speedSamples),
+    speedMax: mergeMax(stored.speedMax, late.speedMax),
+    accelSamples: accelSamples + late.accelSamples,
+    accelMagnitudeMean: mergeMeans(stored.accelMagnitudeMean, accelSamples, late.accelMagnitudeMean, late.accelSamples),
+    accelMax: mergeMax(stored.accelMax, late.accelMax),
+    bbox
+  };
+}
+
+/**
+ * Station rollups: the timeline is rebuilt from change records and fetch
+ * times (see bikeAnalytics.expandTimeline) and aggregated per bucket
+ */
+function rollUpStations(records, fetchTimes, watermark, periods) {
+  const byStation = new Map();
+  records.forEach(record => {
+    if (!byStation.has(record.station_key)) {
+      byStation.set(record.station_key, []);
+    }
+    byStation.get(record.station_key).push(record);
+  });
+
+  const buckets = [];
+  byStation.forEach((changes, key) => {
+    changes.sort((a, b) => a.fetched_at.localeCompare(b.fetched_at));
+    const station = changes[changes.length - 1];
+    const times = fetchTimes
+      .filter(fetch => !fetch.feed_id || fetch.feed_id === station.feed_id)
+      .map(fetch => fetch.fetched_at);
+    const timeline = expandTimeline(null, changes, times)
+      .filter(sample => !watermark || sample.fetched_at >= watermark);
+
+    periods.forEach(period => {
+      const stationBuckets = new Map();
+      timeline.forEach(sample => {
+        const info = bucketInfo(key, period, new Date(sample.fetched_at).getTime());
+        if (!stationBuckets.has(info.id)) {
+          stationBuckets.set(info.id, { info, occupancy: newBucket(), changes: 0 });
+        }
+        const bucket = stationBuckets.get(info.id);
+        addSample(bucket.occupancy, sample);
+        if (sample.changed) bucket.changes++;
+      });
+
+      stationBuckets.forEach(({ info, occupancy, changes: changeCount }) => {
+        buckets.push({
+          ...info,
+          feed_id: station.feed_id || null,
+          station_number: station.station_number,
+          station_name: station.station_name || station.name || null,
+          changes: changeCount,
+          ...finishBucket(occupancy)
+        });
+      });
+    });
+  });
+
+  return buckets;
+}
+
+// Scans are oldest first, so each page extends the range at its ends
+function trackRange(report, docs, field) {
+  if (docs.length === 0) {
+    return;
+  }
+  const toIso = value => (typeof value === 'number' ? new Date(value).toISOString() : value);
+  report.oldest = report.oldest || toIso(docs[0][field]);
+  report.newest = toIso(docs[docs.length - 1][field]);
+}
+
+async function checked(promise) {
+  const result = await promise;
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result;
+}
+
+/**
+ * Apply one policy; returns its report
+ */
+async function applyPolicy(policy, context) {
+  const archives = [];
+  try {
+    return await runPolicy(policy, context, archives);
+  } catch (error) {
+    await Promise.all(archives.map(archive => archive.abort()));
+    throw error;
+  }
+}
+
+async function runPolicy(policy, { dryRun, now, runId }, archives) {
+  const storage = getStorage();
+  const { field, rollupCollection } = COLLECTIONS[policy.collection];
+  const cutoffMs = Math.floor((now - policy.maxAgeDays * DAY_MS) / DAY_MS) * DAY_MS;
+  const cutoff = new Date(cutoffMs).toISOString();
+  const bound = field === 'timestamp' ? cutoffMs : cutoff;
+
+  const saved = await checked(storage.getDocument('retention_state', policy.collection));
+  const watermark = saved.data ? saved.data.watermark : null;
+  const lastRunAt = saved.data ? saved.data.lastRunAt : null;
+  const startedAt = new Date(now).toISOString();
+
+  const report = {
+    collection: policy.collection,
+    maxAgeDays: policy.maxAgeDays,
+    cutoff,
+    watermark,
+    expired: 0,
+    oldest: null,
+    newest: null,
+    kept: 0,
+    rollups: {},
+    archive: null,
+    deleted: 0
+  };
+
+  const openArchive = collection => {
+    const archive = policy.archive && !dryRun ? createArchive(collection, cutoff, runId) : null;
+    if (archive) archives.push(archive);
+    return archive;
+  };
+
+  const deletions = [];     // [collection, ids]
+  let rollups = [];
+
+  if (policy.collection === 'sensor_data') {
+    const archive = openArchive('sensor_data');
+    const rollup = createSensorRollup(policy.rollups);
+    const lateRollup = createSensorRollup(policy.rollups);
+    const ids = [];
+    report.late = 0;
+    report.leftover = 0;
+
+    await checked(storage.forEachDocumentBefore('sensor_data', 'timestamp', bound, async page => {
+      // Stored after this run started: the next run rolls them up
+      const docs = page.filter(doc => !doc.created_at || doc.created_at <= startedAt);
+      const archived = [];
+      trackRange(report, docs, 'timestamp');
+      docs.forEach(doc => {
+        ids.push(doc.id);
+        if (!watermark || doc.timestamp >= Date.parse(watermark)) {
+          rollup.add(doc);
+          archived.push(doc);
+        } else if (lastRunAt && doc.created_at > lastRunAt) {
+          lateRollup.add(doc);
+          archived.push(doc);
+          report.late++;
+        } else {
+          // Rolled up and archived by an earlier run, only its delete failed
+          report.leftover++;
+        }
+      });
+      if (archive && archived.length > 0) await archive.write(archived);
+    }));
+
+    report.expired = ids.length;
+    deletions.push(['sensor_data', ids]);
+    rollups = rollup.finish();
+
+    // Buckets before the watermark are already stored: merge into them
+    for (const bucket of lateRollup.finish()) {
+      const stored = await checked(storage.getDocument(rollupCollection, bucket.id));
+      rollups.push(mergeSensorBucket(stored.data, bucket));
+    }
+  } else if (policy.collection === 'dublin_bikes') {
+    const records = [];
+    const fetches = [];
+    const recordsArchive = openArchive('dublin_bikes');
+    const fetchesArchive = openArchive('dublin_bikes_fetches');
+
+    await checked(storage.forEachDocumentBefore('dublin_bikes', 'fetched_at', bound, async docs => {
+      trackRange(report, docs, 'fetched_at');
+      records.push(...docs);
+      if (recordsArchive) await recordsArchive.write(docs);
+    }));
+    await checked(storage.forEachDocumentBefore('dublin_bikes_fetches', 'fetched_at', bound, async docs => {
+      fetches.push(...docs);
+      if (fetchesArchive) await fetchesArchive.write(docs);
+    }));
+
+    // Each station's newest record before the cutoff stays as its starting state
+    const carried = new Map();
+    records.forEach(record => {
+      const current = carried.get(record.station_key);
+      if (!current || record.fetched_at > current.fetched_at) {
+        carried.set(record.station_key, record);
+      }
+    });
+    const carriedIds = new Set([...carried.values()].map(record => record.id));
+
+    report.expired = records.length;
+    report.kept = carriedIds.size;
+    report.expiredFetches = fetches.length;
+    deletions.push(['dublin_bikes', records.filter(record => !carriedIds.has(record.id)).map(record => record.id)]);
+    deletions.push(['dublin_bikes_fetches', fetches.map(fetch => fetch.id)]);
+
+    if (policy.rollups.length > 0) {
+      const windowFetches = fetches.filter(fetch => !watermark || fetch.fetched_at >= watermark);
+      rollups = rollUpStations(records, windowFetches, watermark, policy.rollups);
+    }
+  } else {
+    const archive = openArchive(policy.collection);
+    const ids = [];
+    await checked(storage.forEachDocumentBefore(policy.collection, field, bound, async docs => {
+      trackRange(report, docs, field);
+      ids.push(...docs.map(doc => doc.id));
+      if (archive) await archive.write(docs);
+    }));
+    report.expired = ids.length;
+    deletions.push([policy.collection, ids]);
+  }
+
+  policy.rollups.forEach(period => {
+    report.rollups[period] = rollups.filter(bucket => bucket.period === period).length;
+  });
+  report.deleted = deletions.reduce((sum, [, ids]) => sum + ids.length, 0);
+
+  if (dryRun) {
+    report.archive = policy.archive ? { documents: report.expired + (report.expiredFetches || 0) } : null;
+    return report;
+  }
+
+  // Archive first: if it fails nothing is deleted
+  const written = [];
+  for (const archive of archives) {
+    written.push(await archive.finish());
+  }
+  report.archive = policy.archive
+    ? { files: written.map(entry => entry.file).filter(Boolean), documents: written.reduce((sum, entry) => sum + entry.documents, 0) }
+    : null;
+
+  if (rollups.length > 0) {
+    await checked(storage.saveDocuments(rollupCollection, rollups));
+  }
+  // Advance the watermark before deleting; points a failed delete leaves
+  // behind were stored before lastRunAt, so they are not rolled up again
+  await checked(storage.saveDocuments('retention_state', [{
+    id: policy.collection,
+    watermark: watermark && watermark > cutoff ? watermark : cutoff,
+    lastRunAt: startedAt
+  }]));
+
+  for (const [collection, ids] of deletions) {
+    if (ids.length > 0) {
+      await checked(storage.deleteDocuments(collection, ids));
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Run every policy (or only `collection`'s)
+ * Returns the run report; a failing policy does not stop the others
+ * ({ success: false, status, error } when the run cannot start)
+ */
+async function runRetention({ dryRun = false, collection = null, trigger = 'manual' } = {}) {
+  if (state.running) {
+    return { success: false, status: 409, error: 'Retention run already in progress' };
+  }
+
+  const policies = state.policies.filter(policy => !collection || policy.collection === collection);
+  if (collection && policies.length === 0) {
+    return { success: false, status: 404, error: `No retention policy for "${collection}"` };
+  }
+
+  state.running = true;
+  state.currentRun = executeRun(policies, { dryRun, trigger });
+  return state.currentRun;
+}
+
+async function executeRun(policies, { dryRun, trigger }) {
+  const now = Date.now();
+  const run = {
+    id: `${now}-${crypto.randomBytes(3).toString('hex')}`,
+    trigger,
+    dryRun,
+    startedAt: new Date(now).toISOString(),
+    finishedAt: null,
+    success: true,
+    policies: []
+  };
+
+  logger.info('Retention run started', { runId: run.id, trigger, dryRun });
+
+  try {
+    for (const policy of policies) {
+      if (state.stopping) {
+        run.success = false;
+        run.policies.push({ collection: policy.collection, error: 'Skipped: shutting down' });
+        continue;
+      }
+      try {
+        const report = await applyPolicy(policy, { dryRun, now, runId: run.id });
+        run.policies.push(report);
+        logger.info('Retention policy applied', {
+          runId: run.id,
+          collection: policy.collection,
+          cutoff: report.cutoff,
+          expired: report.expired,
+          deleted: report.deleted,
+          dryRun
+        });
+      } catch (error) {
+        run.success = false;
+        run.policies.push({ collection: policy.collection, error: error.message });
+        logger.error('Retention policy failed', { runId: run.id, collection: policy.collection, error });
+      }
+    }
+  } finally {
+    state.running = false;
+    run.finishedAt = new Date().toISOString();
+    state.runs.push(run);
+    if (state.runs.length > RUN_HISTORY_SIZE) {
+      state.runs.shift();
+    }
+  }
+
+  return run;
+}
+
+/**
+ * Load the policies and schedule the retention job
+ */
+function startRetentionJob() {
+  state.policies = loadRetentionConfig();
+  state.schedule = process.env.RETENTION_SCHEDULE || DEFAULT_SCHEDULE;
+
+  if (state.policies.length === 0) {
+    logger.info('Retention disabled (RETENTION_POLICIES not set)');
+    return null;
+  }
+  if (!cron.validate(state.schedule)) {
+    throw new Error(`Invalid cron schedule "${state.schedule}" for RETENTION_SCHEDULE`);
+  }
+
+  const dryRun = process.env.RETENTION_DRY_RUN === 'true';
+  state.task = cron.schedule(state.schedule, async () => {
+    await runRetention({ dryRun, trigger: 'schedule' });
+  });
+
+  logger.info('Retention scheduled', {
+    schedule: state.schedule,
+    dryRun,
+    collections: state.policies.map(policy => policy.collection)
+  });
+  return state.task;
+}
+
+/**
+ * Unschedule the job; a run in progress finishes its current policy and
+ * skips the rest (an interrupted run is safe to repeat)
+ */
+async function stopRetentionJob() {
+  state.stopping = true;
+  if (state.task) {
+    state.task.stop();
+    state.task = null;
+  }
+  if (state.running) {
+    await state.currentRun;
+  }
+}
+
+/**
+ * Rollup collection of a retention collection (null when it has none)
+ */
+function rollupCollectionFor(collection) {
+  return COLLECTIONS[collection] ? COLLECTIONS[collection].rollupCollection : null;
+}
+
+/**
+ * Policies, schedule and recent runs (newest first)
+ */
+function getRetentionStatus() {
+  return {
+    enabled: state.policies.length > 0,
+    schedule: state.policies.length > 0 ? state.schedule : null,
+    scheduledDryRun: process.env.RETENTION_DRY_RUN === 'true',
+    archiveDir: archiveDir(),
+    running: state.running,
+    policies: state.policies,
+    runs: [...state.runs].reverse()
+  };
+}
+
+module.exports = {
+  ROLLUP_PERIODS,
+  rollupCollectionFor,
+  startRetentionJob,
+  stopRetentionJob,
+  runRetention,
+  getRetentionStatus
+};
@@ -0,0 +1,216 @@
+/**
+ * Sensor Channels
+ *
+ * Beyond GPS and the accelerometer the app can record any other sensor
+ * (gyroscope, magnetometer, barometer, light, noise...). A session
+ * declares these channels, with their unit and nominal sampling rate:
+ *
+ *   { "name": "pressure", "unit": "hPa", "samplingRateHz": 1, "min": 300, "max": 1100 }
+ *
+ * Channel values travel as top-level numeric fields of each point, next
+ * to the built-in ones. Declared channels are validated like schema
+ * fields (finite numbers, within min/max when given); exports add a
+ * column or extension per channel.
+ *
+ * Sessions rebuilt from storage, or recorded before their channels were
+ * declared, may carry undeclared channels: detectChannels() finds any
+ * other numeric field so those values are exported too.
+ */
+
+const { SENSOR_POINT_SCHEMA } = require('./sensorSchema');
+
+const CHANNEL_NAME_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_CHANNELS = 64;
+const MAX_UNIT_LENGTH = 32;
+const MAX_SAMPLING_RATE_HZ = 10000;
+
+// Fields that are never channels: the schema plus what storage and exports add
+const RESERVED_FIELDS = [
+  ...Object.keys(SENSOR_POINT_SCHEMA),
+  'id',
+  'pointKey',
+  'created_at',
+  'mode',
+  'datetime',
+  'seconds_elapsed'
+];
+
+function isChannelName(name) {
+  return typeof name === 'string' && CHANNEL_NAME_PATTERN.test(name) && !RESERVED_FIELDS.includes(name);
+}
+
+function isOptionalNumber(value) {
+  return value === undefined || value === null || (typeof value === 'number' && Number.isFinite(value));
+}
+
+/**
+ * Validate channel declarations
+ * Returns { channels, errors }; channels keep only the known properties
+ */
+function validateChannels(declarations) {
+  if (!Array.isArray(declarations)) {
+    return { channels: [], errors: ['channels must be an array'] };
+  }
+  if (declarations.length > MAX_CHANNELS) {
+    return { channels: [], errors: [`At most ${MAX_CHANNELS} channels can be declared`] };
+  }
+
+  const channels = [];
+  const errors = [];
+  const seen = new Set();
+
+  declarations.forEach((declaration, index) => {
+    const label = `channels[${index}]`;
+    if (!declaration || typeof declaration !== 'object' || Array.isArray(declaration)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    const { name, unit = null, samplingRateHz = null, min = null, max = null } = declaration;
+
+    if (!isChannelName(name)) {
+      errors.push(RESERVED_FIELDS.includes(name)
+        ? `${label}.name "${name}" is a built-in field`
+        : `${label}.name must match ${CHANNEL_NAME_PATTERN} (lowercase letters, digits, _)`);
+      return;
+    }
+    if (seen.has(name)) {
+      errors.push(`${label}.name "${name}" is declared twice`);
+      return;
+    }
+    seen.add(name);
+
+    if (unit !== null && (typeof unit !== 'string' || unit.length > MAX_UNIT_LENGTH)) {
+      errors.push(`${label}.unit must be a string of at most ${MAX_UNIT_LENGTH} characters`);
+    }
+    if (!isOptionalNumber(samplingRateHz) || (samplingRateHz !== null && (samplingRateHz <= 0 || samplingRateHz > MAX_SAMPLING_RATE_HZ))) {
+      errors.push(`${label}.samplingRateHz must be a number above 0 and at most ${MAX_SAMPLING_RATE_HZ}`);
+    }
+    if (!isOptionalNumber(min) || !isOptionalNumber(max)) {
+      errors.push(`${label}.min and ${label}.max must be numbers`);
+    } else if (min !== null && max !== null && min > max) {
+      errors.push(`${label}.min must not be above max`);
+    }
+
+    channels.push({ name, unit, samplingRateHz, min, max });
+  });
+
+  return { channels: errors.length === 0 ? channels : [], errors };
+}
+
+/**
+ * Declarations merged by name; later ones replace earlier ones
+ */
+function mergeChannels(...lists) {
+  const merged = new Map();
+  lists.forEach(list => list.forEach(channel => merged.set(channel.name, channel)));
+  return [...merged.values()];
+}
+
+/**
+ * Point schema for a session: the built-in fields plus its channels
+ */
+function pointSchemaFor(channels = []) {
+  const schema = { ...SENSOR_POINT_SCHEMA };
+  channels.forEach(channel => {
+    schema[channel.name] = {
+      type: 'number',
+      ...(channel.min !== null && channel.min !== undefined && { min: channel.min }),
+      ...(channel.max !== null && channel.max !== undefined && { max: channel.max })
+    };
+  });
+  return schema;
+}
+
+/**
+ * Undeclared channels: numeric fields other than the built-in ones,
+ * in order of first appearance
+ */
+function detectChannels(points, declared = []) {
+  const known = new Set(declared.map(channel => channel.name));
+  const found = [];
+
+  points.forEach(point => {
+    Object.keys(point).forEach(field => {
+      if (!known.has(field) && typeof point[field] === 'number' && isChannelName(field)) {
+        known.add(field);
+        found.push({ name: field, unit: null, samplingRateHz: null, min: null, max: null });
+      }
+    });
+  });
+
+  return found;
+}
+
+/**
+ * Declared plus detected channels of a set of points
+ * Each is flagged with whether the session declared it
+ */
+function resolveChannels(points, declared = []) {
+  return [
+    ...declared.map(channel => ({ ...channel, declared: true })),
+    ...detectChannels(points, declared).map(channel => ({ ...channel, declared: false }))
+  ];
+}
+
+function round(value, decimals = 4) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Per-channel statistics: samples, min/max/mean/standard deviation, first
+ * and last sample time and the observed sampling rate (to compare with
+ * the declared samplingRateHz); the declared valid range is under `range`
+ */
+function channelStats(points, channels) {
+  return channels.map(({ min: rangeMin, max: rangeMax, ...declaration }) => {
+    const channel = { ...declaration, range: { min: rangeMin, max: rangeMax } };
+    const samples = points
+      .filter(point => typeof point[channel.name] === 'number')
+      .map(point => ({ timestamp: point.timestamp, value: point[channel.name] }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    if (samples.length === 0) {
+      return { ...channel, samples: 0, min: null, max: null, mean: null, stdDev: null, firstAt: null, lastAt: null, observedRateHz: null };
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    samples.forEach(({ value }) => {
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+      sum += value;
+    });
+    const mean = sum / samples.length;
+    const variance = samples.reduce((total, { value }) => total + (value - mean) ** 2, 0) / samples.length;
+
+    const first = samples[0].timestamp;
+    const last = samples[samples.length - 1].timestamp;
+    const durationSeconds = (last - first) / 1000;
+
+    return {
+      ...channel,
+      samples: samples.length,
+      min,
+      max,
+      mean: round(mean),
+      stdDev: round(Math.sqrt(variance)),
+      firstAt: new Date(first).toISOString(),
+      lastAt: new Date(last).toISOString(),
+      observedRateHz: durationSeconds > 0 ? round((samples.length - 1) / durationSeconds) : null
+    };
+  });
+}
+
+module.exports = {
+  CHANNEL_NAME_PATTERN,
+  isChannelName,
+  validateChannels,
+  mergeChannels,
+  pointSchemaFor,
+  detectChannels,
+  resolveChannels,
+  channelStats
+};
@@ -0,0 +1,186 @@
+/**
+ * Sensor Data Query
+ *
+ * Parses and applies the filters of GET /api/sensor-data: point
+ * timestamp range, session/device, geographic bounding box, field
+ * projection and cursor pagination. Storage backends run the query with
+ * querySensorData(query); the helpers here keep their behaviour
+ * identical.
+ *
+ * Results are ordered by point timestamp, then document id (the
+ * pointKey), so every point has a stable position. A cursor encodes the
+ * position of the last point scanned and the next page starts right
+ * after it.
+ */
+
+const { hasPosition } = require('./geoUtils');
+
+const QUERY_DEFAULTS = {
+  limit: 500,
+  maxLimit: 5000,
+  order: 'asc'
+};
+
+// Parse a time as epoch milliseconds or an ISO date string; NaN when invalid
+function parseTimeMillis(value) {
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  return new Date(value).getTime();
+}
+
+/**
+ * Opaque cursor for the position of a point
+ */
+function encodeCursor(point) {
+  return Buffer.from(JSON.stringify({ t: point.timestamp, id: point.id })).toString('base64url');
+}
+
+/**
+ * Position { timestamp, id } of a cursor, or null when it is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    return typeof t === 'number' && typeof id === 'string' ? { timestamp: t, id } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate query string parameters
+ * Returns { query, errors }: query is only usable when errors is empty
+ */
+function parseSensorQuery(params) {
+  const errors = [];
+  const query = {
+    sessionId: params.sessionId || null,
+    deviceId: params.deviceId || null,
+    from: null,
+    to: null,
+    bbox: null,
+    fields: null,
+    order: params.order || QUERY_DEFAULTS.order,
+    limit: QUERY_DEFAULTS.limit,
+    cursor: null
+  };
+
+  ['from', 'to'].forEach(key => {
+    if (params[key]) {
+      query[key] = parseTimeMillis(params[key]);
+      if (Number.isNaN(query[key])) {
+        errors.push(`${key} must be epoch milliseconds or an ISO date`);
+      }
+    }
+  });
+
+  if (params.bbox) {
+    // GeoJSON order: west,south,east,north
+    const values = String(params.bbox).split(',').map(Number);
+    const [minLng, minLat, maxLng, maxLat] = values;
+    if (values.length !== 4 || values.some(value => !Number.isFinite(value)) ||
+        minLat > maxLat || minLat < -90 || maxLat > 90 || minLng < -180 || maxLng > 180) {
+      errors.push('bbox must be minLng,minLat,maxLng,maxLat');
+    } else {
+      query.bbox = { minLng, minLat, maxLng, maxLat };
+    }
+  }
+
+  if (params.fields) {
+    query.fields = String(params.fields).split(',').map(field => field.trim()).filter(Boolean);
+  }
+
+  if (!['asc', 'desc'].includes(query.order)) {
+    errors.push('order must be asc or desc');
+  }
+
+  if (params.limit !== undefined) {
+    const limit = parseInt(params.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > QUERY_DEFAULTS.maxLimit) {
+      errors.push(`limit must be between 1 and ${QUERY_DEFAULTS.maxLimit}`);
+    } else {
+      query.limit = limit;
+    }
+  }
+
+  if (params.cursor) {
+    query.cursor = decodeCursor(String(params.cursor));
+    if (!query.cursor) {
+      errors.push('Invalid cursor');
+    }
+  }
+
+  return { query, errors };
+}
+
+/**
+ * True when a point lies in the bounding box
+ * A box with minLng > maxLng crosses the antimeridian
+ */
+function inBbox(point, bbox) {
+  if (!hasPosition(point) || point.latitude < bbox.minLat || point.latitude > bbox.maxLat) {
+    return false;
+  }
+  return bbox.minLng <= bbox.maxLng
+    ? point.longitude >= bbox.minLng && point.longitude <= bbox.maxLng
+    : point.longitude >= bbox.minLng || point.longitude <= bbox.maxLng;
+}
+
+/**
+ * True when a stored point matches every filter except the cursor
+ */
+function matchesQuery(point, query) {
+  if (query.sessionId && point.sessionId !== query.sessionId) return false;
+  if (query.deviceId && point.deviceId !== query.deviceId) return false;
+  if (query.from !== null && !(point.timestamp >= query.from)) return false;
+  if (query.to !== null && !(point.timestamp <= query.to)) return false;
+  if (query.bbox && !inBbox(point, query.bbox)) return false;
+  return true;
+}
+
+/**
+ * Sort comparator for the query order (timestamp, then id)
+ */
+function comparePoints(a, b, order = 'asc') {
+  const direction = order === 'desc' ? -1 : 1;
+  if (a.timestamp !== b.timestamp) {
+    return (a.timestamp - b.timestamp) * direction;
+  }
+  return (a.id < b.id ? -1 : a.id > b.id ? 1 : 0) * direction;
+}
+
+/**
+ * True when a point comes after the cursor position in the query order
+ */
+function isAfterCursor(point, cursor, order = 'asc') {
+  return comparePoints(point, { timestamp: cursor.timestamp, id: cursor.id }, order) > 0;
+}
+
+/**
+ * Keep only the requested fields of a point
+ */
+function projectPoint(point, fields) {
+  if (!fields) {
+    return point;
+  }
+  const projected = {};
+  fields.forEach(field => {
+    if (point[field] !== undefined) {
+      projected[field] = point[field];
+    }
+  });
+  return projected;
+}
+
+module.exports = {
+  QUERY_DEFAULTS,
+  parseSensorQuery,
+  encodeCursor,
+  decodeCursor,
+  inBbox,
+  matchesQuery,
+  comparePoints,
+  isAfterCursor,
+  projectPoint
+};
@@ -0,0 +1,100 @@
+/**
+ * Sensor Point Schema
+ *
+ * Declarative description of a sensor point uploaded to /api/data.
+ * Each field lists its type, whether it is required, and the allowed
+ * range. Optional fields may be omitted or null; unknown fields are
+ * passed through untouched.
+ */
+
+const SENSOR_POINT_SCHEMA = {
+  timestamp: { type: 'number', required: true, min: 0 },  // ms since epoch
+  latitude: { type: 'number', min: -90, max: 90, requiredWith: 'longitude' },
+  longitude: { type: 'number', min: -180, max: 180, requiredWith: 'latitude' },
+  altitude: { type: 'number', min: -500, max: 10000 },
+  speed: { type: 'number', min: -1, max: 150 },           // m/s, -1 = unknown on iOS
+  accuracy: { type: 'number', min: 0, max: 10000 },       // metres
+  heading: { type: 'number', min: -1, max: 360 },         // -1 = unknown on iOS
+  accel_x: { type: 'number', min: -200, max: 200 },       // m/s²
+  accel_y: { type: 'number', min: -200, max: 200 },
+  accel_z: { type: 'number', min: -200, max: 200 },
+  accel_magnitude: { type: 'number', min: 0, max: 400 },
+  sessionId: { type: 'string' },
+  deviceId: { type: 'string' }
+};
+
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+function checkType(value, type) {
+  if (type === 'number') {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+  return typeof value === type;
+}
+
+/**
+ * Validate a single point against a schema
+ * Returns a list of { field, message } errors (empty when valid)
+ */
+function validatePoint(point, schema = SENSOR_POINT_SCHEMA) {
+  if (!point || typeof point !== 'object' || Array.isArray(point)) {
+    return [{ field: null, message: 'Point must be an object' }];
+  }
+
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = point[field];
+
+    if (isMissing(value)) {
+      if (rule.required) {
+        errors.push({ field, message: 'is required' });
+      } else if (rule.requiredWith && !isMissing(point[rule.requiredWith])) {
+        errors.push({ field, message: `is required when ${rule.requiredWith} is present` });
+      }
+      return;
+    }
+
+    if (!checkType(value, rule.type)) {
+      errors.push({ field, message: `must be a ${rule.type === 'number' ? 'finite number' : rule.type}` });
+      return;
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push({ field, message: `must be >= ${rule.min}` });
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push({ field, message: `must be <= ${rule.max}` });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a batch of points
+ * Returns the accepted points and a per-index list of rejections
+ */
+function validateBatch(points, schema = SENSOR_POINT_SCHEMA) {
+  const accepted = [];
+  const rejected = [];
+
+  points.forEach((point, index) => {
+    const errors = validatePoint(point, schema);
+    if (errors.length === 0) {
+      accepted.push(point);
+    } else {
+      rejected.push({ index, errors });
+    }
+  });
+
+  return { accepted, rejected };
+}
+
+module.exports = {
+  SENSOR_POINT_SCHEMA,
+  validatePoint,
+  validateBatch
+};
@@ -3,8 +3,27 @@
  * 
  * Enhanced with:
  * - Firebase Firestore integration for real-time data storage
- * - Dublin Bikes API fetcher running every 5 minutes
- * - All original CSV export functionality maintained
+ * - Local file storage backend for offline use (STORAGE_BACKEND=file)
+ * - Concurrent per-device sessions (/api/sessions)
+ * - Schema validation of uploaded sensor points (sensorSchema.js)
+ * - Per-session sensor channels with dynamic export columns and stats (sensorChannels.js)
+ * - Idempotent uploads via batch ids and deterministic point keys
+ * - Bike share fetcher for Dublin Bikes and other JCDecaux/GBFS feeds,
+ *   with retries, a circuit breaker and runtime pause/resume/schedule
+ * - CSV, GPX, GeoJSON and KML exports (exporters.js)
+ * - Session imports from CSV and GPX files (importers.js)
+ * - Per-session trip summaries (tripAnalytics.js)
+ * - Transport mode detection (modeDetection.js)
+ * - GPS cleaning: outlier rejection, smoothing and resampling (gpsCleaning.js)
+ * - Live Server-Sent Events streams of sensor points and bike updates (liveEvents.js)
+ * - Device tokens and admin API keys, with per-device session scoping (auth.js)
+ * - Durable outbox replaying sensor batches that failed to store (outbox.js)
+ * - Short-term bike availability forecasts with backtesting (bikeForecast.js)
+ * - Bike share rental detection from trips and station changes (bikeUsage.js)
+ * - Geofence and bike station alerts delivered to signed webhooks (alerts.js)
+ * - Scheduled retention with rollups and gzip archives (retention.js)
+ * - Prometheus metrics (metrics.js) and structured JSON logs with request ids (logger.js)
+ * - Liveness/readiness probes (health.js) and graceful shutdown on SIGTERM/SIGINT
  */
 
 const express = require('express');
@@ -13,210 +32,1902 @@ require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 10000;
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
 
-// Import Firebase and Dublin Bikes modules
-const { 
-  initializeFirebase, 
-  addSensorDataBatch,
-  getRecentSensorData,
-  getRecentBikesData
-} = require('./firebaseConfig');
+// Sessions leave memory this long after they stop / after their last upload
+const SESSION_STOPPED_TTL_MS = Number(process.env.SESSION_STOPPED_TTL_MS) || 15 * 60 * 1000;
+const SESSION_IDLE_TTL_MS = Number(process.env.SESSION_IDLE_TTL_MS) || 2 * 60 * 60 * 1000;
+const SESSION_SWEEP_MS = 60 * 1000;
+
+// Import storage and Dublin Bikes modules
+const { initializeStorage, getStorageStatus, flushStorage } = require('./storage');
 
 const { 
+  loadFeeds,
   startDublinBikesFetcher, 
+  stopDublinBikesFetcher,
+  getFeeds,
+  getDefaultFeedId,
   getFetcherStats,
+  getFetcherRuns,
+  pauseFetcher,
+  resumeFetcher,
+  setFetcherSchedule,
   triggerManualFetch
 } = require('./dublinBikesFetcher');
 
+const {
+  startSession,
+  restoreSession,
+  getSession,
+  getSessions,
+  getLatestSession,
+  addPoints,
+  hasBatch,
+  recordBatch,
+  stopSession,
+  findEvictableSessions,
+  evictSession,
+  toSessionRecord,
+  summarizeSession,
+  listSessions
+} = require('./sessionManager');
+
+const { SENSOR_POINT_SCHEMA, validateBatch } = require('./sensorSchema');
+const {
+  validateChannels,
+  mergeChannels,
+  pointSchemaFor,
+  resolveChannels,
+  channelStats
+} = require('./sensorChannels');
+const { EXPORT_FORMATS, exportPoints } = require('./exporters');
+const { parseImportQuery, importPoints } = require('./importers');
+const { DEFAULT_OPTIONS: TRIP_DEFAULTS, summarizeTrip } = require('./tripAnalytics');
+const { detectModes, labelPoints } = require('./modeDetection');
+const { parseCleaningQuery, checkResampleSize, cleanTrack } = require('./gpsCleaning');
+const {
+  DEFAULT_OPTIONS: NEARBY_DEFAULTS,
+  stationKey,
+  findNearbyStations
+} = require('./bikeStations');
+const {
+  DEFAULT_TIMEZONE,
+  validateTimeZone,
+  expandTimeline,
+  computeOccupancy
+} = require('./bikeAnalytics');
+const {
+  FORECAST_DEFAULTS,
+  parseForecastQuery,
+  forecastStation,
+  backtestForecast
+} = require('./bikeForecast');
+const {
+  BIKE_USAGE_DEFAULTS,
+  parseBikeUsageQuery,
+  findRides,
+  scoreRide
+} = require('./bikeUsage');
+const { publish, subscribe, getLiveStats } = require('./liveEvents');
+const { parseSensorQuery, projectPoint } = require('./sensorQuery');
+const { initializeOutbox, enqueueBatch, recordSync, replayOutbox, closeOutbox, getOutboxStatus } = require('./outbox');
+const {
+  isAuthDisabled,
+  isRegistrationOpen,
+  hasAdminKeys,
+  registerDevice,
+  revokeDevice,
+  listDevices,
+  authenticate,
+  requireDevice,
+  requireAdmin,
+  authDeviceId,
+  canAccessSession
+} = require('./auth');
+const {
+  startAlertEngine,
+  stopAlertEngine,
+  createGeofence,
+  listGeofences,
+  deleteGeofence,
+  createRule,
+  listRules,
+  deleteRule,
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  getAlertEvents
+} = require('./alerts');
+const {
+  ROLLUP_PERIODS,
+  rollupCollectionFor,
+  startRetentionJob,
+  stopRetentionJob,
+  runRetention,
+  getRetentionStatus
+} = require('./retention');
+const { markShuttingDown, isShuttingDown, getLiveness, getReadiness, checkFetcher } = require('./health');
+const { logger, requestContext } = require('./logger');
+const {
+  gauge,
+  renderMetrics,
+  httpMetrics,
+  sensorPointsIngested,
+  sensorPointsRejected,
+  sensorPointsDuplicate
+} = require('./metrics');
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
+app.use(requestContext);
+app.use(httpMetrics);
+app.use(authenticate);
 
-// In-memory storage for sensor data (kept for CSV export)
-let sensorData = [];
-let sessionId = null;
+// Initialize storage backend on startup (Firestore or local files)
+const storage = initializeStorage();
+
+// Batches the backend failed to write are queued on disk and replayed
+initializeOutbox({ write: points => storage.addSensorDataBatch(points) });
+
+if (isAuthDisabled()) {
+  logger.warn('AUTH_DISABLED=true: every request is treated as an admin');
+} else if (!hasAdminKeys()) {
+  logger.warn('ADMIN_API_KEYS is not set: admin routes are unavailable');
+}
+if (!isAuthDisabled() && isRegistrationOpen()) {
+  logger.warn('Device registration is open: anyone can register a device and get a token (set DEVICE_REGISTRATION=admin to restrict it)');
+}
 
-// Initialize Firebase on startup
+// Every bike route reads the feed configuration, so an invalid one is fatal
 try {
-  initializeFirebase();
-  console.log('✅ Firebase initialized');
+  loadFeeds();
 } catch (error) {
-  console.error('⚠️ Warning: Firebase initialization failed');
-  console.error('   Server will run but data won\'t be stored to cloud');
-  console.error('   Error:', error.message);
+  logger.error('Invalid bike feed configuration, check BIKE_FEEDS / BIKE_FEEDS_FILE', { error: error.message });
+  process.exit(1);
 }
 
 // Start Dublin Bikes fetcher
 try {
   startDublinBikesFetcher();
-  console.log('✅ Dublin Bikes fetcher started');
 } catch (error) {
-  console.error('⚠️ Warning: Dublin Bikes fetcher failed to start');
-  console.error('   Error:', error.message);
+  logger.error('Dublin Bikes fetcher failed to start', { error: error.message });
+}
+
+// Roll up, archive and delete expired data on RETENTION_SCHEDULE
+try {
+  startRetentionJob();
+} catch (error) {
+  logger.error('Retention job failed to start', { error: error.message });
+}
+
+// Evaluate alert rules as sensor points and bike updates arrive
+startAlertEngine().catch(error => {
+  logger.error('Alert engine failed to start', { error: error.message });
+});
+
+// Express 4 does not catch rejected promises: pass them to the error handler
+function asyncHandler(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+// Device id from the device token; admins may name one in the body or X-Device-Id header
+function getDeviceId(req) {
+  return authDeviceId(req.auth) || (req.body && req.body.deviceId) || req.get('X-Device-Id') || null;
+}
+
+// Legacy single-session routes: explicit sessionId, otherwise the latest session
+// (of the calling device) still in memory; sessions of other devices are not returned
+async function resolveLegacySession(req) {
+  const requestedId = (req.body && req.body.sessionId) || req.query.sessionId;
+  let session = null;
+  if (requestedId) {
+    const result = await loadSession(requestedId);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    session = result.data;
+  } else {
+    session = getLatestSession({ deviceId: authDeviceId(req.auth) });
+  }
+  return session && canAccessSession(req.auth, session.deviceId) ? session : null;
+}
+
+// Session :id the caller may access, restored from storage if it was evicted
+// Sends a 404/403/500 and returns null otherwise
+async function findSession(req, res) {
+  const result = await loadSession(req.params.id);
+  if (!result.success) {
+    res.status(500).json({
+      success: false,
+      error: result.error
+    });
+    return null;
+  }
+  const session = result.data;
+  if (!session) {
+    res.status(404).json({ 
+      success: false, 
+      error: 'Session not found' 
+    });
+    return null;
+  }
+  if (!canAccessSession(req.auth, session.deviceId)) {
+    sendSessionForbidden(res);
+    return null;
+  }
+  return session;
+}
+
+function sendSessionForbidden(res) {
+  res.status(403).json({
+    success: false,
+    error: 'Session belongs to another device'
+  });
+}
+
+// Store points in the session and persist them to the storage backend
+// live=false keeps historical points (imports) off the live streams and alerts
+async function ingestSensorData(session, data, deviceId, { live = true } = {}) {
+  const { added: points, duplicates } = addPoints(session, data, deviceId);
+  sensorPointsIngested.inc({}, points.length);
+  sensorPointsDuplicate.inc({}, duplicates);
+  
+  if (points.length > 0 && live) {
+    publish('sensor', 'points', { sessionId: session.id, deviceId: deviceId || session.deviceId || null, points });
+  }
+  
+  let stored = points.length === 0;
+  let queued = false;
+  let alreadyStored = 0;
+  if (points.length > 0) {
+    let failure = null;
+    try {
+      const storageResult = await storage.addSensorDataBatch(points);
+      
+      if (storageResult.success) {
+        // Points whose key the backend already held (retries) are not written again
+        alreadyStored = storageResult.duplicates || 0;
+        stored = true;
+        recordSync();
+        logger.info('Stored sensor points', {
+          backend: storage.name,
+          sessionId: session.id,
+          points: points.length - alreadyStored,
+          alreadyStored,
+          totalPoints: session.points.length
+        });
+      } else {
+        failure = storageResult.error;
+        logger.warn('Storing sensor points failed', { backend: storage.name, error: storageResult.error });
+      }
+    } catch (error) {
+      failure = error.message;
+      logger.error('Error storing sensor points', { backend: storage.name, error });
+    }
+    
+    // Keep failed points on disk and retry them in the background
+    if (failure) {
+      try {
+        await enqueueBatch(points, failure);
+        queued = true;
+      } catch (error) {
+        logger.error('Could not queue points in the outbox', { sessionId: session.id, points: points.length, error });
+      }
+    }
+  }
+  
+  return {
+    success: true,
+    sessionId: session.id,
+    totalPoints: session.points.length,
+    message: `Received ${points.length} points`,
+    duplicatePoints: duplicates,
+    alreadyStored,
+    storedToCloud: stored && storage.name === 'firestore',
+    storage: storage.name,
+    stored,
+    queued,
+    outboxDepth: getOutboxStatus().depth
+  };
+}
+
+// True when the body carries either { data: [...] } or { batches: [...] }
+function hasUploadPayload(body) {
+  return Array.isArray(body.data) || Array.isArray(body.batches);
+}
+
+// Validate and ingest one batch, skipping it if its batchId was already seen
+// With atomic=true any invalid point rejects the whole batch
+async function processBatch(session, batch, deviceId, atomic, ingestOptions = {}) {
+  const batchId = batch.batchId || null;
+  
+  if (!Array.isArray(batch.data)) {
+    return {
+      status: 400,
+      body: { success: false, batchId, error: 'Invalid data format' }
+    };
+  }
+  
+  if (batchId && hasBatch(session, batchId)) {
+    logger.info('Duplicate batch ignored', { sessionId: session.id, batchId });
+    return {
+      status: 200,
+      body: {
+        success: true,
+        sessionId: session.id,
+        batchId,
+        duplicate: true,
+        totalPoints: session.points.length,
+        message: 'Batch already received',
+        received: batch.data.length,
+        accepted: 0,
+        rejected: []
+      }
+    };
+  }
+  
+  const { accepted, rejected } = validateBatch(batch.data, pointSchemaFor(session.channels));
+  sensorPointsRejected.inc({}, rejected.length);
+  
+  if (rejected.length > 0 && (atomic || accepted.length === 0)) {
+    logger.warn('Rejected upload', {
+      sessionId: session.id,
+      batchId,
+      invalid: rejected.length,
+      received: batch.data.length
+    });
+    return {
+      status: 422,
+      body: {
+        success: false,
+        error: atomic ? 'Batch rejected: invalid points' : 'No valid points in batch',
+        sessionId: session.id,
+        batchId,
+        received: batch.data.length,
+        accepted: 0,
+        rejected
+      }
+    };
+  }
+  
+  const result = await ingestSensorData(session, accepted, deviceId, ingestOptions);
+  if (batchId) {
+    recordBatch(session, batchId);
+  }
+  
+  return {
+    status: 200,
+    body: {
+      ...result,
+      batchId,
+      duplicate: false,
+      received: batch.data.length,
+      accepted: accepted.length,
+      rejected
+    }
+  };
+}
+
+// Handle an upload of { data, batchId } or { batches: [{ batchId, data }] }
+// The batch id may also come from the Idempotency-Key header
+async function uploadToSession(req, res, session) {
+  const deviceId = getDeviceId(req);
+  const atomic = req.body.atomic === true || req.query.atomic === 'true';
+  
+  if (Array.isArray(req.body.batches)) {
+    const results = [];
+    for (const batch of req.body.batches) {
+      const { body } = await processBatch(session, batch || {}, deviceId, atomic);
+      results.push(body);
+    }
+    
+    return res.json({
+      success: results.every(result => result.success),
+      sessionId: session.id,
+      totalPoints: session.points.length,
+      batches: results,
+      duplicateBatches: results.filter(result => result.duplicate).map(result => result.batchId)
+    });
+  }
+  
+  const batch = {
+    batchId: req.body.batchId || req.get('Idempotency-Key'),
+    data: req.body.data
+  };
+  const { status, body } = await processBatch(session, batch, deviceId, atomic);
+  res.status(status).json({
+    ...body,
+    duplicateBatches: body.duplicate ? [body.batchId] : []
+  });
+}
+
+// Parse a query time as epoch milliseconds or an ISO date string
+function parseTime(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const date = /^\d+$/.test(value) ? new Date(parseInt(value, 10)) : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// Bike feed from ?feed= (default: the first configured feed)
+// Returns null for an unknown feed id
+function resolveFeedId(req) {
+  const feedId = req.query.feed || getDefaultFeedId();
+  return getFeeds().some(feed => feed.id === feedId) ? feedId : null;
+}
+
+// Feed, station and ?from=&to= range (default: last 7 days) for the history routes
+// Sends a 400 and returns null when the parameters are invalid
+function parseStationRange(req, res) {
+  const feedId = resolveFeedId(req);
+  const number = req.params.number;
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  
+  if (!feedId || from === undefined || to === undefined) {
+    res.status(400).json({
+      success: false,
+      error: feedId ? 'Invalid from/to time' : `Unknown bike feed "${req.query.feed}"`
+    });
+    return null;
+  }
+  
+  // GBFS station ids may be non-numeric
+  const stationNumber = /^\d+$/.test(number) ? parseInt(number, 10) : number;
+  
+  return {
+    feedId,
+    stationNumber,
+    stationKey: stationKey({ feed_id: feedId, station_number: stationNumber }),
+    from: from || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
+    to: to || new Date()
+  };
+}
+
+// Rebuild a station's full timeline (one sample per fetcher run) from its
+// change records, the state before the range and the feed's run times
+async function loadStationTimeline(range) {
+  const [changes, initial, fetchTimes] = await Promise.all([
+    storage.getStationHistory(range.stationKey, range),
+    storage.getStationStateAt(range.stationKey, range.from),
+    storage.getBikesFetchTimes(range)
+  ]);
+  
+  const failed = [changes, initial, fetchTimes].find(result => !result.success);
+  if (failed) {
+    return failed;
+  }
+  
+  return {
+    success: true,
+    changes: changes.data,
+    timeline: expandTimeline(initial.data, changes.data, fetchTimes.data)
+  };
+}
+
+// A station's last record before `from` followed by its change records up
+// to `to`, i.e. every availability change in the range
+async function loadStationChanges(key, { from, to }) {
+  const [changes, initial] = await Promise.all([
+    storage.getStationHistory(key, { from, to }),
+    storage.getStationStateAt(key, from)
+  ]);
+  
+  const failed = [changes, initial].find(result => !result.success);
+  if (failed) {
+    return failed;
+  }
+  
+  return {
+    success: true,
+    data: initial.data ? [initial.data, ...changes.data] : changes.data
+  };
+}
+
+// Stations near one end of a ride, each with its changes around `time`
+async function loadRideEndCandidates(stations, feedId, point, time, options) {
+  const nearby = findNearbyStations(stations, point.latitude, point.longitude, {
+    radius: options.radius,
+    limit: options.maxStations
+  });
+  const windowMs = options.windowMinutes * 60 * 1000;
+  const lagMs = options.fetchLagMinutes * 60 * 1000;
+  const range = { from: new Date(time - windowMs), to: new Date(time + windowMs + lagMs) };
+  
+  const candidates = [];
+  for (const station of nearby) {
+    const key = stationKey({ feed_id: feedId, station_number: station.station_number });
+    const result = await loadStationChanges(key, range);
+    if (!result.success) {
+      return result;
+    }
+    candidates.push({ station, records: result.data });
+  }
+  return { success: true, data: candidates };
+}
+
+// Points for a session: in-memory if the session is live, otherwise from storage
+// deviceId is the device that recorded the session
+async function loadSessionPoints(sessionId) {
+  const session = getSession(sessionId);
+  if (session && session.points.length > 0) {
+    return { success: true, data: session.points, source: 'memory', deviceId: session.deviceId };
+  }
+  
+  const result = await storage.getSensorDataBySession(sessionId);
+  if (!result.success) {
+    return result;
+  }
+  // Stored points carry the recording device, used for access checks
+  const deviceId = result.data.length > 0 ? result.data[0].deviceId : (session && session.deviceId);
+  return { success: true, data: result.data, source: storage.name, deviceId: deviceId || null };
+}
+
+// Store a session's record (status, channel declarations...), so it can be
+// restored and exports keep their units once it is no longer in memory
+async function saveSessionRecord(session) {
+  const result = await storage.saveDocuments('sessions', [toSessionRecord(session)]);
+  if (!result.success) {
+    logger.warn('Could not store session record', { sessionId: session.id, error: result.error });
+  }
+  return result.success;
+}
+
+// Session from memory, otherwise restored from its stored record and points
+// data is null when the session is unknown (or was never stored)
+async function loadSession(sessionId) {
+  const session = getSession(sessionId);
+  if (session) {
+    return { success: true, data: session };
+  }
+
+  const record = await storage.getDocument('sessions', sessionId);
+  if (!record.success || !record.data) {
+    return record;
+  }
+  const points = await storage.getSensorDataBySession(sessionId);
+  if (!points.success) {
+    return points;
+  }
+  // Firestore returns the document id along with the point
+  const restored = restoreSession(record.data, points.data.map(({ id, ...point }) => point));
+  logger.info('Session restored', { sessionId, points: restored.points.length });
+  return { success: true, data: restored };
+}
+
+// Move stopped and idle sessions out of memory; a session whose record
+// cannot be stored stays until the next sweep
+async function evictIdleSessions() {
+  const evictable = findEvictableSessions({ stoppedTtlMs: SESSION_STOPPED_TTL_MS, idleTtlMs: SESSION_IDLE_TTL_MS });
+  for (const session of evictable) {
+    if (await saveSessionRecord(session)) {
+      evictSession(session);
+      logger.info('Session evicted from memory', { sessionId: session.id, status: session.status, points: session.points.length });
+    }
+  }
+}
+
+const sessionSweep = setInterval(() => {
+  evictIdleSessions().catch(error => logger.error('Session eviction failed', { error: error.message }));
+}, SESSION_SWEEP_MS);
+sessionSweep.unref();
+
+// Declared channels of a session: from memory, otherwise as stored
+async function loadSessionChannels(sessionId) {
+  const session = getSession(sessionId);
+  if (session) {
+    return session.channels;
+  }
+  const result = await storage.getDocument('sessions', sessionId);
+  return result.success && result.data ? result.data.channels || [] : [];
+}
+
+// Validated channel declarations from body.channels ([] when absent)
+// Sends a 400 and returns null when they are invalid
+function parseChannelDeclarations(req, res) {
+  if (req.body.channels === undefined) {
+    return [];
+  }
+  const { channels, errors } = validateChannels(req.body.channels);
+  if (errors.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: errors.join('; ')
+    });
+    return null;
+  }
+  return channels;
+}
+
+// Apply GPS cleaning when requested (?clean=true, ?maxAccuracy=, ?maxSpeed=,
+// ?smoothing=kalman|none, ?resample=1Hz); returns { points, cleaning }
+// Sends a 400 and returns null when the parameters are invalid or the
+// resampled stream would be too large
+function applyCleaning(req, res, points) {
+  const parsed = parseCleaningQuery(req.query);
+  if (!parsed) {
+    return { points, cleaning: undefined };
+  }
+  if (parsed.errors.length === 0) {
+    const sizeError = checkResampleSize(points, parsed.options);
+    if (sizeError) parsed.errors.push(sizeError);
+  }
+  if (parsed.errors.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: parsed.errors.join('; ')
+    });
+    return null;
+  }
+  
+  const { points: cleaned, stats } = cleanTrack(points, parsed.options);
+  return { points: cleaned, cleaning: stats };
+}
+
+// Send a session's points as a download in ?format=csv|gpx|geojson|kml,
+// cleaned first when cleaning parameters are given; declared channels and
+// any other channel found in the points get their own columns
+function sendExport(req, res, sessionId, rawPoints, declaredChannels = []) {
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `Unsupported format "${format}" (expected one of: ${EXPORT_FORMATS.join(', ')})` 
+    });
+  }
+
+  if (rawPoints.length === 0) {
+    return res.status(404).json({ 
+      success: false, 
+      error: 'No data available' 
+    });
+  }
+
+  const cleaned = applyCleaning(req, res, rawPoints);
+  if (!cleaned) {
+    return;
+  }
+  const { points } = cleaned;
+
+  // Label each point with its detected transport mode
+  const labelled = labelPoints(points, detectModes(points).segments);
+  const channels = resolveChannels(points, declaredChannels);
+  const file = exportPoints(labelled, format, { sessionId, channels });
+
+  // Set headers for download
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=sensor_data_${sessionId}.${file.extension}`);
+  res.send(file.body);
+
+  logger.info('Session exported', { sessionId, format, points: points.length });
+}
+
+// Keep idle streams alive through proxies that drop silent connections
+const STREAM_HEARTBEAT_MS = 25000;
+
+// Unsent data a stalled stream client may hold before it is dropped
+const STREAM_MAX_BACKLOG_BYTES = 1024 * 1024;
+
+// Open streams, ended on shutdown so the server can close
+const openStreams = new Set();
+
+// Serve a live events channel as Server-Sent Events
+// filter(data) returns the data to send, or null to skip the event;
+// reconnecting clients resume from the Last-Event-ID header (or ?lastEventId=)
+// A client that stops reading (write() returned false and no drain since)
+// is disconnected once more than STREAM_MAX_BACKLOG_BYTES wait for it,
+// instead of buffering without limit; it resumes from the replay buffer
+// when it reconnects
+function openEventStream(req, res, channel, filter) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+  
+  let congested = false;
+  res.on('drain', () => {
+    congested = false;
+  });
+  
+  const write = chunk => {
+    if (res.destroyed) {
+      return;
+    }
+    if (congested && res.writableLength > STREAM_MAX_BACKLOG_BYTES) {
+      logger.warn('Live stream client too slow, disconnecting', { channel, backlogBytes: res.writableLength });
+      res.destroy();
+      return;
+    }
+    if (!res.write(chunk)) {
+      congested = true;
+    }
+  };
+  
+  const send = event => {
+    const data = event.type === 'gap' ? event.data : filter(event.data);
+    if (data !== null) {
+      write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+  const unsubscribe = subscribe(channel, send, { lastEventId });
+  const heartbeat = setInterval(() => write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  
+  logger.info('Live stream opened', { channel, path: req.path });
+  openStreams.add(res);
+  
+  // res also closes when a stalled client is dropped above
+  res.on('close', () => {
+    openStreams.delete(res);
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.info('Live stream closed', { channel });
+  });
+}
+
+// Sensor stream filter for ?sessionId= / ?deviceId=
+function sensorStreamFilter(sessionId, deviceId) {
+  return data => {
+    if (sessionId && data.sessionId !== sessionId) return null;
+    if (!deviceId) return data;
+    
+    const points = data.points.filter(point => point.deviceId === deviceId);
+    return points.length > 0 ? { ...data, points } : null;
+  };
 }
 
 // Health check
 app.get('/', (req, res) => {
+  const latest = getLatestSession();
+  const storageStatus = getStorageStatus();
   res.json({ 
-    status: 'running',
+    status: isShuttingDown() ? 'shutting_down' : 'running',
     message: 'Sensor Data Collection API - Assignment 3',
     features: {
       sensorData: true,
-      dublinBikes: true,
-      firestore: true
+      dublinBikes: checkFetcher().status === 'ok',
+      firestore: storage.name === 'firestore'
     },
-    dataPoints: sensorData.length,
-    sessionId: sessionId
+    storage: storage.name,
+    storageFallback: storageStatus.fallback,
+    activeSessions: listSessions({ status: 'active' }).length,
+    dataPoints: latest ? latest.points.length : 0,
+    sessionId: latest ? latest.id : null
   });
 });
 
-// Start new session
-app.post('/api/session/start', (req, res) => {
-  sessionId = Date.now().toString();
-  sensorData = [];
-  console.log('📱 New session started:', sessionId);
+// Liveness: the process is up and answering
+app.get('/health/live', (req, res) => {
+  res.json(getLiveness());
+});
+
+// Readiness: storage answers a probe and the server is not shutting down
+// 503 when not ready; fetcher and outbox problems only mark it degraded
+app.get('/health/ready', asyncHandler(async (req, res) => {
+  const readiness = await getReadiness();
+  res.status(readiness.ready ? 200 : 503).json(readiness);
+}));
+
+// Outbox depth and live event subscribers, read at scrape time
+gauge('sensor_outbox_batches', 'Sensor batches waiting in the outbox', [], () => getOutboxStatus().depth);
+gauge('live_event_subscribers', 'Live event subscribers by channel (SSE streams and the alert engine)', ['channel'], () =>
+  Object.entries(getLiveStats().channels).map(([channel, stats]) => [{ channel }, stats.subscribers])
+);
+
+// Prometheus scrape endpoint; admin only unless METRICS_PUBLIC=true
+app.get('/metrics', process.env.METRICS_PUBLIC === 'true' ? (req, res, next) => next() : requireAdmin, (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
+// Register a device and issue its token (shown only once)
+// Open to anyone unless DEVICE_REGISTRATION=admin; admins can re-register
+// an existing deviceId to rotate its token
+app.post('/api/devices/register', async (req, res) => {
+  const asAdmin = Boolean(req.auth && req.auth.role === 'admin');
+  if (!isRegistrationOpen() && !asAdmin) {
+    return requireAdmin(req, res);
+  }
+  
+  const { deviceId, name } = req.body || {};
+  if ((deviceId !== undefined && typeof deviceId !== 'string') || (name !== undefined && typeof name !== 'string')) {
+    return res.status(400).json({
+      success: false,
+      error: 'deviceId and name must be strings'
+    });
+  }
+  
+  try {
+    const result = await registerDevice({ deviceId, name }, { asAdmin });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    
+    res.status(201).json({
+      success: true,
+      device: result.device,
+      token: result.token,
+      message: 'Store this token: send it as "Authorization: Bearer <token>"'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List registered devices
+app.get('/api/devices', requireAdmin, async (req, res) => {
+  try {
+    const devices = await listDevices();
+    res.json({
+      success: true,
+      devices,
+      count: devices.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Revoke a device's token
+app.delete('/api/devices/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await revokeDevice(req.params.id);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    res.json({
+      success: true,
+      device: result.device
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Start new session (legacy route, kept for existing clients)
+app.post('/api/session/start', requireDevice, asyncHandler(async (req, res) => {
+  const channels = parseChannelDeclarations(req, res);
+  if (!channels) {
+    return;
+  }
+  const session = startSession({ deviceId: getDeviceId(req), channels });
+  await saveSessionRecord(session);
+  logger.info('Session started', { sessionId: session.id, deviceId: session.deviceId, channels: channels.length });
   res.json({ 
     success: true, 
-    sessionId: sessionId,
+    sessionId: session.id,
+    deviceId: session.deviceId,
     message: 'Session started'
   });
+}));
+
+// Receive sensor data - NOW WITH FIREBASE!
+// Uses body.sessionId when given, otherwise the latest active session
+app.post('/api/data', requireDevice, asyncHandler(async (req, res) => {
+  if (!hasUploadPayload(req.body)) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'Invalid data format' 
+    });
+  }
+
+  let session = await resolveLegacySession(req);
+  if (session && session.status !== 'active') {
+    if (req.body.sessionId) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Session is stopped' 
+      });
+    }
+    // A stopped latest session is never written to
+    session = null;
+  }
+  if (!session) {
+    if (req.body.sessionId) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Session not found' 
+      });
+    }
+    // Old clients may upload without starting a session first (or after stopping one)
+    session = startSession({ deviceId: getDeviceId(req) });
+    await saveSessionRecord(session);
+    logger.info('Session auto-started', { sessionId: session.id, deviceId: session.deviceId });
+  }
+
+  await uploadToSession(req, res, session);
+}));
+
+// Get current data count
+app.get('/api/data/count', requireDevice, asyncHandler(async (req, res) => {
+  const session = await resolveLegacySession(req);
+  res.json({ 
+    count: session ? session.points.length : 0,
+    sessionId: session ? session.id : null
+  });
+}));
+
+// Download session data (CSV by default, ?format=gpx|geojson|kml)
+app.get('/api/data/download', requireDevice, asyncHandler(async (req, res) => {
+  const session = await resolveLegacySession(req);
+  if (!session) {
+    return res.status(404).json({ 
+      success: false, 
+      error: 'No data available' 
+    });
+  }
+
+  sendExport(req, res, session.id, session.points, session.channels);
+}));
+
+// Stop session
+app.post('/api/session/stop', requireDevice, asyncHandler(async (req, res) => {
+  const session = await resolveLegacySession(req);
+  if (!session) {
+    return res.status(404).json({ 
+      success: false, 
+      error: 'Session not found' 
+    });
+  }
+
+  stopSession(session);
+  await saveSessionRecord(session);
+  logger.info('Session stopped', { sessionId: session.id, points: session.points.length });
+  
+  res.json({ 
+    success: true,
+    message: 'Session stopped',
+    dataPoints: session.points.length,
+    sessionId: session.id
+  });
+}));
+
+// Describe the accepted sensor point fields and ranges
+app.get('/api/schema/sensor-point', (req, res) => {
+  res.json({
+    success: true,
+    schema: SENSOR_POINT_SCHEMA
+  });
+});
+
+// List sessions (optionally ?deviceId=&status=active|stopped)
+// Devices only see their own sessions; evicted sessions come from their stored record
+app.get('/api/sessions', requireDevice, asyncHandler(async (req, res) => {
+  const deviceId = authDeviceId(req.auth) || req.query.deviceId;
+  const status = req.query.status;
+  const inMemory = listSessions({ deviceId, status });
+
+  const stored = await storage.getSessionRecords({ deviceId });
+  if (!stored.success) {
+    return res.status(500).json({
+      success: false,
+      error: stored.error
+    });
+  }
+  const evicted = stored.data
+    .filter(record => !getSession(record.sessionId))
+    .filter(record => !status || (record.status || 'stopped') === status)
+    // Records stored before sessions were evicted only hold the channels
+    .map(({ id, keyScope, ...record }) => ({
+      ...record,
+      status: record.status || 'stopped',
+      stoppedAt: record.stoppedAt || null,
+      dataPoints: record.dataPoints ?? null
+    }));
+
+  const sessionList = [...inMemory, ...evicted]
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  res.json({
+    success: true,
+    sessions: sessionList,
+    count: sessionList.length
+  });
+}));
+
+// Start a new session for a device
+// body.channels declares extra sensor channels: [{ name, unit, samplingRateHz, min, max }]
+app.post('/api/sessions', requireDevice, asyncHandler(async (req, res) => {
+  const channels = parseChannelDeclarations(req, res);
+  if (!channels) {
+    return;
+  }
+  const session = startSession({ deviceId: getDeviceId(req), channels });
+  await saveSessionRecord(session);
+  logger.info('Session started', { sessionId: session.id, deviceId: session.deviceId, channels: channels.length });
+  res.status(201).json({
+    success: true,
+    session: summarizeSession(session)
+  });
+}));
+
+// File types accepted as the raw body of an import
+const IMPORT_CONTENT_TYPES = ['text/csv', 'text/plain', 'application/gpx+xml', 'application/xml', 'text/xml', 'application/octet-stream'];
+
+// Import a recording (CSV export, GPX or mapped CSV) as a new, stopped session
+// The file is the request body; ?format=csv|gpx, ?columns=, ?timeFormat=, ?atomic=true
+// Points go through the same validation and storage as uploads but are
+// not pushed to live streams or alert rules, since they are historical
+app.post('/api/sessions/import', requireDevice, express.text({ type: IMPORT_CONTENT_TYPES, limit: '50mb' }), asyncHandler(async (req, res) => {
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    return res.status(400).json({
+      success: false,
+      error: `Send the file as the request body with Content-Type ${IMPORT_CONTENT_TYPES.slice(0, 3).join(', ')}`
+    });
+  }
+
+  const { options, errors } = parseImportQuery(req.query, req.get('Content-Type'));
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: errors.join('; ') });
+  }
+
+  const parsed = importPoints(req.body, options);
+  if (!parsed.success) {
+    return res.status(400).json({ success: false, error: parsed.error });
+  }
+
+  const withLines = rejected => rejected.map(rejection => ({ ...rejection, line: parsed.lines[rejection.index] }));
+  const atomic = req.query.atomic === 'true';
+
+  // Channel columns of the file become the session's declared channels
+  const { channels } = validateChannels(parsed.channels.map(name => ({ name })));
+
+  // Checked up front so a file that would be rejected leaves no empty session behind
+  const { accepted, rejected } = validateBatch(parsed.points, pointSchemaFor(channels));
+  if (rejected.length > 0 && (atomic || accepted.length === 0)) {
+    sensorPointsRejected.inc({}, rejected.length);
+    return res.status(422).json({
+      success: false,
+      error: atomic ? 'Import rejected: invalid points' : 'No valid points in file',
+      format: options.format,
+      received: parsed.points.length,
+      accepted: 0,
+      rejected: withLines(rejected)
+    });
+  }
+
+  const deviceId = getDeviceId(req);
+  const session = startSession({ deviceId, channels, keyScope: 'session' });
+  await saveSessionRecord(session);
+  const { body } = await processBatch(session, { data: parsed.points }, deviceId, atomic, { live: false });
+  stopSession(session);
+  await saveSessionRecord(session);
+
+  // Points are sorted by time, invalid ones last
+  const recorded = accepted.map(point => point.timestamp);
+  logger.info('Session imported', {
+    sessionId: session.id,
+    format: options.format,
+    points: body.accepted,
+    invalid: rejected.length
+  });
+
+  res.status(201).json({
+    ...body,
+    rejected: withLines(body.rejected),
+    format: options.format,
+    recordedFrom: new Date(recorded[0]).toISOString(),
+    recordedTo: new Date(recorded[recorded.length - 1]).toISOString(),
+    session: summarizeSession(session)
+  });
+}));
+
+// Get session details
+app.get('/api/sessions/:id', requireDevice, asyncHandler(async (req, res) => {
+  const session = await findSession(req, res);
+  if (!session) {
+    return;
+  }
+  res.json({
+    success: true,
+    session: summarizeSession(session)
+  });
+}));
+
+// Upload sensor data to a specific session
+app.post('/api/sessions/:id/data', requireDevice, asyncHandler(async (req, res) => {
+  if (!hasUploadPayload(req.body)) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'Invalid data format' 
+    });
+  }
+
+  const session = await findSession(req, res);
+  if (!session) {
+    return;
+  }
+  if (session.status !== 'active') {
+    return res.status(409).json({ 
+      success: false, 
+      error: 'Session is stopped' 
+    });
+  }
+
+  await uploadToSession(req, res, session);
+}));
+
+// Get a session's points (from memory, or reconstructed from storage)
+app.get('/api/sessions/:id/data', requireDevice, async (req, res) => {
+  try {
+    const result = await loadSessionPoints(req.params.id);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    if (!canAccessSession(req.auth, result.deviceId)) {
+      return sendSessionForbidden(res);
+    }
+    
+    res.json({
+      success: true,
+      sessionId: req.params.id,
+      source: result.source,
+      data: result.data,
+      count: result.data.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Download a session (?format=csv|gpx|geojson|kml), rebuilt from storage if needed
+app.get('/api/sessions/:id/download', requireDevice, async (req, res) => {
+  try {
+    const result = await loadSessionPoints(req.params.id);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    if (!canAccessSession(req.auth, result.deviceId)) {
+      return sendSessionForbidden(res);
+    }
+    
+    const channels = await loadSessionChannels(req.params.id);
+    sendExport(req, res, req.params.id, result.data, channels);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Declare (more) sensor channels for a running session; a channel declared
+// again replaces its earlier declaration
+app.post('/api/sessions/:id/channels', requireDevice, asyncHandler(async (req, res) => {
+  const session = await findSession(req, res);
+  if (!session) {
+    return;
+  }
+  if (req.body.channels === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'channels is required'
+    });
+  }
+  const channels = parseChannelDeclarations(req, res);
+  if (!channels) {
+    return;
+  }
+
+  session.channels = mergeChannels(session.channels, channels);
+  await saveSessionRecord(session);
+  logger.info('Session channels declared', { sessionId: session.id, channels: channels.map(channel => channel.name) });
+
+  res.json({
+    success: true,
+    session: summarizeSession(session)
+  });
+}));
+
+// Per-channel statistics of a session, declared and undeclared channels alike
+app.get('/api/sessions/:id/channels', requireDevice, async (req, res) => {
+  try {
+    const result = await loadSessionPoints(req.params.id);
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    if (!canAccessSession(req.auth, result.deviceId)) {
+      return sendSessionForbidden(res);
+    }
+
+    const declared = await loadSessionChannels(req.params.id);
+    const channels = resolveChannels(result.data, declared);
+
+    res.json({
+      success: true,
+      sessionId: req.params.id,
+      points: result.data.length,
+      channels: channelStats(result.data, channels)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Trip summary: distance, duration, moving/stopped time, stops, speeds,
+// elevation and accelerometer stats. Thresholds can be overridden via
+// ?movingSpeed=&stopRadius=&minStopDuration=&elevationThreshold=, and the GPS
+// cleaning parameters (?clean=true, ?resample=1Hz, ...) apply before summarising
+app.get('/api/sessions/:id/summary', requireDevice, async (req, res) => {
+  try {
+    const result = await loadSessionPoints(req.params.id);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    if (!canAccessSession(req.auth, result.deviceId)) {
+      return sendSessionForbidden(res);
+    }
+    if (result.data.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'No data available' 
+      });
+    }
+    
+    const cleaned = applyCleaning(req, res, result.data);
+    if (!cleaned) {
+      return;
+    }
+    
+    const options = {};
+    Object.keys(TRIP_DEFAULTS).forEach(key => {
+      const value = parseFloat(req.query[key]);
+      if (Number.isFinite(value) && value >= 0) {
+        options[key] = value;
+      }
+    });
+    
+    res.json({
+      success: true,
+      sessionId: req.params.id,
+      summary: summarizeTrip(cleaned.points, options),
+      cleaning: cleaned.cleaning
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Transport mode segments (stationary/walking/cycling/motorised)
+// ?windowSeconds=30 sets the classification window, ?windows=true adds per-window features
+app.get('/api/sessions/:id/modes', requireDevice, async (req, res) => {
+  try {
+    const result = await loadSessionPoints(req.params.id);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    if (!canAccessSession(req.auth, result.deviceId)) {
+      return sendSessionForbidden(res);
+    }
+    if (result.data.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'No data available' 
+      });
+    }
+    
+    const cleaned = applyCleaning(req, res, result.data);
+    if (!cleaned) {
+      return;
+    }
+    
+    const windowSeconds = parseFloat(req.query.windowSeconds);
+    const detection = detectModes(cleaned.points, Number.isFinite(windowSeconds) && windowSeconds > 0 ? { windowSeconds } : {});
+    
+    res.json({
+      success: true,
+      sessionId: req.params.id,
+      segments: detection.segments,
+      totals: detection.totals,
+      windows: req.query.windows === 'true' ? detection.windows : undefined,
+      options: detection.options,
+      cleaning: cleaned.cleaning
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Probable bike share rentals: cycling stretches starting near a station
+// that lost a bike and ending near one that gained a bike
+// (?feed=&radius=150&windowMinutes=10&minConfidence=0.6, plus GPS cleaning parameters)
+app.get('/api/sessions/:id/bike-usage', requireDevice, async (req, res) => {
+  const feedId = resolveFeedId(req);
+  const { options: overrides, errors } = parseBikeUsageQuery(req.query);
+  if (!feedId) {
+    errors.push(`Unknown bike feed "${req.query.feed}"`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid bike usage parameters',
+      details: errors
+    });
+  }
+  const options = { ...BIKE_USAGE_DEFAULTS, ...overrides };
+  
+  try {
+    const result = await loadSessionPoints(req.params.id);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    if (!canAccessSession(req.auth, result.deviceId)) {
+      return sendSessionForbidden(res);
+    }
+    if (result.data.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'No data available' 
+      });
+    }
+    
+    const cleaned = applyCleaning(req, res, result.data);
+    if (!cleaned) {
+      return;
+    }
+    
+    const points = [...cleaned.points].sort((a, b) => a.timestamp - b.timestamp);
+    const rides = findRides(points, detectModes(points).segments, options);
+    
+    // Station positions come from the latest snapshot
+    const snapshot = rides.length > 0
+      ? await storage.getLatestBikesSnapshot({ feedId })
+      : { success: true, data: [], fetchedAt: null };
+    if (!snapshot.success) {
+      return res.status(500).json({
+        success: false,
+        error: snapshot.error
+      });
+    }
+    
+    const scored = [];
+    for (const ride of rides) {
+      const pickup = await loadRideEndCandidates(snapshot.data, feedId, ride.start, ride.startTimestamp, options);
+      const dropoff = await loadRideEndCandidates(snapshot.data, feedId, ride.end, ride.endTimestamp, options);
+      const failed = [pickup, dropoff].find(candidates => !candidates.success);
+      if (failed) {
+        return res.status(500).json({
+          success: false,
+          error: failed.error
+        });
+      }
+      scored.push(scoreRide(ride, { pickupCandidates: pickup.data, dropoffCandidates: dropoff.data }, options));
+    }
+    
+    res.json({
+      success: true,
+      sessionId: req.params.id,
+      feedId,
+      snapshotTime: snapshot.fetchedAt,
+      rentals: scored.filter(ride => ride.probable).length,
+      rides: scored,
+      options,
+      cleaning: cleaned.cleaning
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Stop a specific session
+app.post('/api/sessions/:id/stop', requireDevice, asyncHandler(async (req, res) => {
+  const session = await findSession(req, res);
+  if (!session) {
+    return;
+  }
+
+  stopSession(session);
+  await saveSessionRecord(session);
+  logger.info('Session stopped', { sessionId: session.id, points: session.points.length });
+  
+  res.json({
+    success: true,
+    message: 'Session stopped',
+    session: summarizeSession(session)
+  });
+}));
+
+// Live points of one session (Server-Sent Events)
+app.get('/api/sessions/:id/stream', requireDevice, asyncHandler(async (req, res) => {
+  const session = await findSession(req, res);
+  if (!session) {
+    return;
+  }
+
+  openEventStream(req, res, 'sensor', sensorStreamFilter(session.id, null));
+}));
+
+// Live points of every session, or only ?sessionId= / ?deviceId= (Server-Sent Events)
+// Devices only receive their own points
+app.get('/api/stream/sensor', requireDevice, (req, res) => {
+  openEventStream(req, res, 'sensor', sensorStreamFilter(req.query.sessionId, authDeviceId(req.auth) || req.query.deviceId));
+});
+
+// Live bike station changes after each fetcher run (Server-Sent Events)
+// ?feed=<id> limits the stream to one feed, ?station=12,34 to some stations
+app.get('/api/stream/bikes', (req, res) => {
+  const feedId = req.query.feed || null;
+  if (feedId && !getFeeds().some(feed => feed.id === feedId)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown bike feed "${feedId}"`
+    });
+  }
+  
+  const stations = req.query.station
+    ? new Set(String(req.query.station).split(',').map(value => value.trim()))
+    : null;
+  
+  openEventStream(req, res, 'bikes', data => {
+    if (feedId && data.feedId !== feedId) return null;
+    if (!stations) return data;
+    
+    const matching = data.stations.filter(station => stations.has(String(station.station_number)));
+    return matching.length > 0 ? { ...data, stations: matching } : null;
+  });
+});
+
+// Subscriber counts and replay buffer sizes of the live streams
+app.get('/api/stream/stats', (req, res) => {
+  res.json({
+    success: true,
+    stats: getLiveStats()
+  });
+});
+
+// NEW: Get recent sensor data from storage
+app.get('/api/firestore/sensor-data', requireAdmin, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const result = await storage.getRecentSensorData(limit);
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data,
+        count: result.count
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Query stored sensor data: ?from=&to= (point timestamp, epoch ms or ISO),
+// ?sessionId=&deviceId=, ?bbox=minLng,minLat,maxLng,maxLat, ?fields=a,b,
+// ?order=asc|desc, ?limit= and ?cursor= (nextCursor of the previous page)
+// Devices can only query their own points
+app.get('/api/sensor-data', requireDevice, async (req, res) => {
+  const { query, errors } = parseSensorQuery(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors.join('; ')
+    });
+  }
+  
+  const ownDeviceId = authDeviceId(req.auth);
+  if (ownDeviceId) {
+    if (query.deviceId && query.deviceId !== ownDeviceId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Devices can only query their own data'
+      });
+    }
+    query.deviceId = ownDeviceId;
+  }
+  
+  try {
+    const result = await storage.querySensorData(query);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result.data.map(point => projectPoint(point, query.fields)),
+      count: result.count,
+      nextCursor: result.nextCursor
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Storage backend and outbox status: queued batches, last sync, last error
+app.get('/api/storage/status', requireAdmin, (req, res) => {
+  const outbox = getOutboxStatus();
+  res.json({
+    success: true,
+    storage: storage.name,
+    synced: outbox.depth === 0,
+    outbox
+  });
+});
+
+// Replay the outbox now instead of waiting for the next backoff
+app.post('/api/storage/outbox/replay', requireAdmin, async (req, res) => {
+  try {
+    const result = await replayOutbox();
+    res.status(result.error ? 503 : 200).json({
+      success: !result.error,
+      ...result,
+      outbox: getOutboxStatus()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Retention policies, schedule and recent runs
+app.get('/api/retention', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    retention: getRetentionStatus()
+  });
+});
+
+// Run retention now (?dryRun=true only reports, ?collection= runs one policy)
+app.post('/api/retention/run', requireAdmin, async (req, res) => {
+  try {
+    const run = await runRetention({
+      dryRun: req.query.dryRun === 'true',
+      collection: req.query.collection || null
+    });
+    if (run.status) {
+      return res.status(run.status).json({ success: false, error: run.error });
+    }
+    res.status(run.success ? 200 : 500).json({
+      success: run.success,
+      run
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Hourly/daily rollups of expired data (?period=hourly|daily&key=&from=&to=&limit=1000)
+// key is a deviceId for sensor_data and a station key (<feed>_<number>) for dublin_bikes
+app.get('/api/rollups/:collection', requireAdmin, async (req, res) => {
+  const rollupCollection = rollupCollectionFor(req.params.collection);
+  const period = req.query.period || 'hourly';
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 1000;
+  
+  if (!rollupCollection) {
+    return res.status(404).json({
+      success: false,
+      error: `No rollups for "${req.params.collection}"`
+    });
+  }
+  if (!ROLLUP_PERIODS[period] || from === undefined || to === undefined || !(limit >= 1 && limit <= 5000)) {
+    return res.status(400).json({
+      success: false,
+      error: `period must be one of ${Object.keys(ROLLUP_PERIODS).join(', ')}, from/to valid times and limit between 1 and 5000`
+    });
+  }
+  
+  try {
+    const result = await storage.getRollups(rollupCollection, {
+      period,
+      key: req.query.key || null,
+      from,
+      to,
+      limit
+    });
+    if (!result.success) {
+      return res.status(500).json({ success: false, error: result.error });
+    }
+    res.json({
+      success: true,
+      collection: req.params.collection,
+      period,
+      rollups: result.data,
+      count: result.count
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// NEW: Get recent Dublin Bikes data from storage
+app.get('/api/firestore/dublin-bikes', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const result = await storage.getRecentBikesData(limit);
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data,
+        count: result.count
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Closest stations to a location from the latest snapshot of every feed
+// ?lat=&lng= required; optional feed, radius (m), minBikes, minStands, limit
+app.get('/api/dublin-bikes/nearby', async (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lng = parseFloat(req.query.lng);
+  
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return res.status(400).json({
+      success: false,
+      error: 'Valid lat and lng query parameters are required'
+    });
+  }
+  
+  const options = {};
+  Object.keys(NEARBY_DEFAULTS).forEach(key => {
+    const value = parseFloat(req.query[key]);
+    if (Number.isFinite(value) && value >= 0) {
+      options[key] = value;
+    }
+  });
+  
+  if (req.query.feed && !getFeeds().some(feed => feed.id === req.query.feed)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown bike feed "${req.query.feed}"`
+    });
+  }
+  
+  try {
+    const result = await storage.getLatestBikesSnapshot({ feedId: req.query.feed });
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    const stations = findNearbyStations(result.data, lat, lng, options);
+    
+    res.json({
+      success: true,
+      location: { lat, lng },
+      snapshotTime: result.fetchedAt,
+      stations,
+      count: stations.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Availability history for one station (?from=&to= ISO or epoch ms, default last 7 days)
+// Returns change records; ?expand=true returns one sample per fetcher run
+app.get('/api/dublin-bikes/stations/:number/history', async (req, res) => {
+  const range = parseStationRange(req, res);
+  if (!range) return;
+  
+  try {
+    const result = await loadStationTimeline(range);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    const expand = req.query.expand === 'true';
+    const data = expand ? result.timeline : result.changes.map(record => ({
+      fetched_at: record.fetched_at,
+      last_update: record.last_update,
+      status: record.status,
+      available_bikes: record.available_bikes,
+      available_bike_stands: record.available_bike_stands,
+      bike_stands: record.bike_stands
+    }));
+    
+    res.json({
+      success: true,
+      feedId: range.feedId,
+      stationNumber: range.stationNumber,
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      expanded: expand,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
 });
 
-// Receive sensor data - NOW WITH FIREBASE!
-app.post('/api/data', async (req, res) => {
-  const { data } = req.body;
+// Hourly / weekday occupancy aggregates for one station (?from=&to=&tz=Europe/Dublin)
+app.get('/api/dublin-bikes/stations/:number/occupancy', async (req, res) => {
+  const range = parseStationRange(req, res);
+  if (!range) return;
   
-  if (!data || !Array.isArray(data)) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Invalid data format' 
+  let timeZone;
+  try {
+    timeZone = validateTimeZone(req.query.tz || DEFAULT_TIMEZONE);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown time zone "${req.query.tz}"`
     });
   }
-
-  // Add data to in-memory storage (for CSV export)
-  sensorData.push(...data);
   
-  // ASSIGNMENT 3 ADDITION: Store to Firebase Firestore in real-time!
   try {
-    const firestoreResult = await addSensorDataBatch(data);
+    const result = await loadStationTimeline(range);
     
-    if (firestoreResult.success) {
-      console.log(`✅ Stored ${data.length} points to Firestore. Total in memory: ${sensorData.length}`);
-    } else {
-      console.log(`⚠️ Firestore storage failed: ${firestoreResult.error}`);
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
     }
+    
+    res.json({
+      success: true,
+      feedId: range.feedId,
+      stationNumber: range.stationNumber,
+      occupancy: computeOccupancy(result.timeline, { timeZone })
+    });
   } catch (error) {
-    console.error('❌ Error storing to Firestore:', error.message);
-    // Continue anyway - we still have in-memory data
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
-  
-  res.json({ 
-    success: true, 
-    totalPoints: sensorData.length,
-    message: `Received ${data.length} points`,
-    storedToCloud: true
-  });
 });
 
-// Get current data count
-app.get('/api/data/count', (req, res) => {
-  res.json({ 
-    count: sensorData.length,
-    sessionId: sessionId
-  });
-});
-
-// Download CSV (original functionality maintained)
-app.get('/api/data/download', (req, res) => {
-  if (sensorData.length === 0) {
-    return res.status(404).json({ 
-      success: false, 
-      error: 'No data available' 
+// Parse forecast options and the time zone; sends a 400 and returns null when invalid
+function parseForecastRequest(req, res) {
+  const { options, errors } = parseForecastQuery(req.query);
+  try {
+    options.timeZone = validateTimeZone(req.query.tz || DEFAULT_TIMEZONE);
+  } catch (error) {
+    errors.push(`Unknown time zone "${req.query.tz}"`);
+  }
+  
+  if (errors.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid forecast parameters',
+      details: errors
     });
+    return null;
   }
+  return options;
+}
 
-  // Sort by timestamp
-  const sortedData = [...sensorData].sort((a, b) => a.timestamp - b.timestamp);
-
-  // Create CSV content
-  const headers = [
-    'timestamp',
-    'datetime',
-    'seconds_elapsed',
-    'latitude',
-    'longitude',
-    'altitude',
-    'speed',
-    'accuracy',
-    'heading',
-    'accel_x',
-    'accel_y',
-    'accel_z',
-    'accel_magnitude'
-  ];
-
-  let csv = headers.join(',') + '\n';
-
-  const startTime = sortedData[0].timestamp;
-
-  sortedData.forEach(point => {
-    const row = [
-      point.timestamp,
-      new Date(point.timestamp).toISOString(),
-      ((point.timestamp - startTime) / 1000).toFixed(3),
-      point.latitude || '',
-      point.longitude || '',
-      point.altitude || '',
-      point.speed || '',
-      point.accuracy || '',
-      point.heading || '',
-      point.accel_x || '',
-      point.accel_y || '',
-      point.accel_z || '',
-      point.accel_magnitude || ''
-    ];
-    csv += row.join(',') + '\n';
-  });
-
-  // Set headers for download
-  res.setHeader('Content-Type', 'text/csv');
-  res.setHeader('Content-Disposition', `attachment; filename=sensor_data_${sessionId}.csv`);
-  res.send(csv);
-
-  console.log('📥 CSV downloaded:', sensorData.length, 'points');
-});
-
-// Stop session and clear data
-app.post('/api/session/stop', (req, res) => {
-  const dataCount = sensorData.length;
-  console.log('🛑 Session stopped:', sessionId, 'Points:', dataCount);
+// Predicted bikes/stands 15/30/60 minutes ahead (?feed=&horizons=&historyDays=28&tz=)
+app.get('/api/dublin-bikes/stations/:number/forecast', async (req, res) => {
+  const range = parseStationRange(req, res);
+  if (!range) return;
+  const options = parseForecastRequest(req, res);
+  if (!options) return;
+  
+  const historyDays = options.historyDays || FORECAST_DEFAULTS.historyDays;
+  range.to = new Date();
+  range.from = new Date(range.to.getTime() - historyDays * 24 * 60 * 60 * 1000);
   
-  res.json({ 
-    success: true,
-    message: 'Session stopped',
-    dataPoints: dataCount,
-    sessionId: sessionId
-  });
-});
-
-// NEW: Get recent sensor data from Firestore
-app.get('/api/firestore/sensor-data', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 100;
-    const result = await getRecentSensorData(limit);
+    const result = await loadStationTimeline(range);
     
-    if (result.success) {
-      res.json({
-        success: true,
-        data: result.data,
-        count: result.count
-      });
-    } else {
-      res.status(500).json({
+    if (!result.success) {
+      return res.status(500).json({
         success: false,
         error: result.error
       });
     }
+    
+    const forecast = forecastStation(result.timeline, options);
+    if (!forecast) {
+      return res.status(404).json({
+        success: false,
+        error: `No stored data for station ${range.stationNumber} in the last ${historyDays} days`
+      });
+    }
+    
+    res.json({
+      success: true,
+      feedId: range.feedId,
+      stationNumber: range.stationNumber,
+      forecast
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -225,24 +1936,43 @@ app.get('/api/firestore/sensor-data', async (req, res) => {
   }
 });
 
-// NEW: Get recent Dublin Bikes data from Firestore
-app.get('/api/firestore/dublin-bikes', async (req, res) => {
+// Forecast error against stored history (?feed=&from=&to=&horizons=&historyDays=28&stepMinutes=15&tz=)
+app.get('/api/dublin-bikes/stations/:number/forecast/backtest', async (req, res) => {
+  const range = parseStationRange(req, res);
+  if (!range) return;
+  const options = parseForecastRequest(req, res);
+  if (!options) return;
+  
+  if (range.from >= range.to) {
+    return res.status(400).json({
+      success: false,
+      error: 'from must be before to'
+    });
+  }
+  
+  // The profile is trained on the historyDays before the tested range
+  const historyDays = options.historyDays || FORECAST_DEFAULTS.historyDays;
+  const tested = { from: range.from, to: range.to };
+  
   try {
-    const limit = parseInt(req.query.limit) || 100;
-    const result = await getRecentBikesData(limit);
+    const result = await loadStationTimeline({
+      ...range,
+      from: new Date(range.from.getTime() - historyDays * 24 * 60 * 60 * 1000)
+    });
     
-    if (result.success) {
-      res.json({
-        success: true,
-        data: result.data,
-        count: result.count
-      });
-    } else {
-      res.status(500).json({
+    if (!result.success) {
+      return res.status(500).json({
         success: false,
         error: result.error
       });
     }
+    
+    res.json({
+      success: true,
+      feedId: range.feedId,
+      stationNumber: range.stationNumber,
+      backtest: backtestForecast(result.timeline, { ...options, ...tested })
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -260,17 +1990,27 @@ app.get('/api/dublin-bikes/stats', (req, res) => {
   });
 });
 
+// Configured bike share feeds (the first one is the default for ?feed=)
+app.get('/api/dublin-bikes/feeds', (req, res) => {
+  res.json({
+    success: true,
+    defaultFeed: getDefaultFeedId(),
+    feeds: getFeeds()
+  });
+});
+
 // NEW: Trigger manual Dublin Bikes fetch (for testing)
-app.post('/api/dublin-bikes/fetch', async (req, res) => {
+// Fetches every feed, or only ?feed=<id>
+app.post('/api/dublin-bikes/fetch', requireAdmin, async (req, res) => {
   try {
-    console.log('🔧 Manual fetch requested');
-    const result = await triggerManualFetch();
+    const result = await triggerManualFetch(req.query.feed || null);
     
     if (result.success) {
       res.json({
         success: true,
         message: 'Fetch completed successfully',
-        stationsCount: result.stationsCount
+        stationsCount: result.stationsCount,
+        feeds: result.feeds
       });
     } else {
       res.status(500).json({
@@ -286,22 +2026,324 @@ app.post('/api/dublin-bikes/fetch', async (req, res) => {
   }
 });
 
+// Fetcher controls: pause/resume scheduled fetches for every feed, or only ?feed=<id>
+app.post('/api/dublin-bikes/fetcher/pause', requireAdmin, (req, res) => {
+  try {
+    res.json({ success: true, feeds: pauseFetcher(req.query.feed || null) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/dublin-bikes/fetcher/resume', requireAdmin, (req, res) => {
+  try {
+    res.json({ success: true, feeds: resumeFetcher(req.query.feed || null) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Change the cron schedule at runtime: { "schedule": "*/10 * * * *", "feed": "dublin" }
+app.put('/api/dublin-bikes/fetcher/schedule', requireAdmin, (req, res) => {
+  const { schedule, feed } = req.body || {};
+  
+  if (typeof schedule !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'schedule (cron expression) is required'
+    });
+  }
+  
+  try {
+    res.json({ success: true, feeds: setFetcherSchedule(schedule, feed || req.query.feed || null) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Recent fetcher runs for a feed, newest first (?feed=, ?limit=)
+app.get('/api/dublin-bikes/fetcher/runs', requireAdmin, (req, res) => {
+  const feedId = resolveFeedId(req);
+  if (!feedId) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown bike feed "${req.query.feed}"`
+    });
+  }
+  
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+  const runs = getFetcherRuns(feedId, limit > 0 ? limit : undefined);
+  res.json({
+    success: true,
+    feedId,
+    count: runs.length,
+    runs
+  });
+});
+
+// Send the { success, status, error, details } result of an alerts.js call
+function sendAlertFailure(res, result) {
+  res.status(result.status || 500).json({
+    success: false,
+    error: result.error,
+    ...(result.details && { details: result.details })
+  });
+}
+
+// List geofences
+app.get('/api/geofences', requireAdmin, async (req, res) => {
+  try {
+    const geofences = await listGeofences();
+    res.json({
+      success: true,
+      geofences,
+      count: geofences.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create a circle or polygon geofence
+app.post('/api/geofences', requireAdmin, async (req, res) => {
+  try {
+    const result = await createGeofence(req.body);
+    if (!result.success) {
+      return sendAlertFailure(res, result);
+    }
+    res.status(201).json({
+      success: true,
+      geofence: result.geofence
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete a geofence that no rule uses
+app.delete('/api/geofences/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await deleteGeofence(req.params.id);
+    if (!result.success) {
+      return sendAlertFailure(res, result);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List alert rules
+app.get('/api/alert-rules', requireAdmin, async (req, res) => {
+  try {
+    const rules = await listRules();
+    res.json({
+      success: true,
+      rules,
+      count: rules.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create an alert rule
+app.post('/api/alert-rules', requireAdmin, async (req, res) => {
+  try {
+    const result = await createRule(req.body);
+    if (!result.success) {
+      return sendAlertFailure(res, result);
+    }
+    res.status(201).json({
+      success: true,
+      rule: result.rule
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete an alert rule
+app.delete('/api/alert-rules/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await deleteRule(req.params.id);
+    if (!result.success) {
+      return sendAlertFailure(res, result);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List webhooks (secrets are never returned)
+app.get('/api/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const webhooks = await listWebhooks();
+    res.json({
+      success: true,
+      webhooks,
+      count: webhooks.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Register a webhook; the signing secret is only returned in this response
+app.post('/api/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const result = await createWebhook(req.body);
+    if (!result.success) {
+      return sendAlertFailure(res, result);
+    }
+    res.status(201).json({
+      success: true,
+      webhook: result.webhook,
+      secret: result.secret
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Remove a webhook
+app.delete('/api/webhooks/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await deleteWebhook(req.params.id);
+    if (!result.success) {
+      return sendAlertFailure(res, result);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Alert events with their delivery status, newest first (?type=, ?ruleId=, ?since=, ?limit=)
+app.get('/api/events', requireAdmin, async (req, res) => {
+  const since = req.query.since ? new Date(/^\d+$/.test(req.query.since) ? parseInt(req.query.since, 10) : req.query.since) : null;
+  if (since && isNaN(since.getTime())) {
+    return res.status(400).json({
+      success: false,
+      error: 'since must be epoch milliseconds or an ISO date'
+    });
+  }
+  
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({
+      success: false,
+      error: 'limit must be between 1 and 1000'
+    });
+  }
+  
+  try {
+    const result = await getAlertEvents({
+      type: req.query.type || null,
+      ruleId: req.query.ruleId || null,
+      since,
+      limit
+    });
+    if (!result.success) {
+      return res.status(500).json({ success: false, error: result.error });
+    }
+    res.json({
+      success: true,
+      events: result.data,
+      count: result.count
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Error handling
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  logger.error('Unhandled error', { method: req.method, path: req.path, error: err });
+  // Streams have already sent their headers: Express closes the connection
+  if (res.headersSent) {
+    return next(err);
+  }
   res.status(500).json({ 
     success: false, 
     error: 'Internal server error' 
   });
 });
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log('\n' + '='.repeat(60));
-  console.log('🚀 Sensor Data Collection API - Assignment 3');
-  console.log('='.repeat(60));
-  console.log(`📡 Server running on port ${PORT}`);
-  console.log(`🌐 Health check: http://localhost:${PORT}/`);
-  console.log(`🔥 Firebase Firestore: Enabled`);
-  console.log(`🚴 Dublin Bikes Fetcher: Running (every 5 minutes)`);
-  console.log('='.repeat(60) + '\n');
-});
\ No newline at end of file
+const server = app.listen(PORT, '0.0.0.0', () => {
+  logger.info('Sensor Data Collection API - Assignment 3 running', {
+    port: Number(PORT),
+    healthCheck: `http://localhost:${PORT}/`,
+    storage: storage.name,
+    auth: isAuthDisabled() ? 'disabled' : 'device tokens + admin keys',
+    bikeFeeds: getFeeds().map(feed => `${feed.id} (${feed.schedule})`)
+  });
+});
+
+// Graceful shutdown: stop taking requests and scheduled work, let what is
+// in flight finish, then flush pending writes before exiting
+async function shutdown(signal) {
+  if (isShuttingDown()) {
+    return;
+  }
+  markShuttingDown();
+  logger.info('Shutting down', { signal, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+  const forceExit = setTimeout(() => {
+    logger.error('Shutdown timed out, exiting with writes possibly pending', { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  forceExit.unref();
+
+  // Resolves once in-flight requests have finished; live streams never
+  // finish on their own, so end them
+  const serverClosed = new Promise(resolve => server.close(resolve));
+  openStreams.forEach(res => res.end());
+
+  stopAlertEngine();
+  clearInterval(sessionSweep);
+  await Promise.all([stopDublinBikesFetcher(), stopRetentionJob(), serverClosed]);
+
+  // Point counts and statuses since the last record write
+  await Promise.all(getSessions().map(saveSessionRecord));
+
+  const outbox = await closeOutbox();
+  await flushStorage();
+
+  logger.info('Shutdown complete', { outboxRemaining: outbox.remaining });
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,244 @@
+/**
+ * Session Manager
+ *
+ * Keeps per-session, per-device recording state in memory so several
+ * phones can record at the same time without wiping each other's data.
+ * Points are also persisted to storage tagged with sessionId/deviceId,
+ * so a session can be reconstructed after a restart.
+ *
+ * Retried uploads are recognised two ways: client-supplied batch ids
+ * are remembered per session, and every point gets a deterministic
+ * pointKey derived from device + timestamp that storage uses as its
+ * document id. Imported sessions scope their keys to the session instead,
+ * so re-importing a recording never collides with the original points.
+ *
+ * A session also holds its declared sensor channels (see sensorChannels.js).
+ *
+ * Memory only holds sessions in use: stopped sessions and sessions without
+ * uploads for a while are evicted (see findEvictableSessions) once their
+ * record is stored, and restored from that record and their stored points
+ * when they are asked for again.
+ */
+
+const crypto = require('crypto');
+
+// sessionId -> session (insertion order is not start order: see restoreSession)
+const sessions = new Map();
+
+/**
+ * Generate a session id that stays sortable by start time
+ */
+function generateSessionId() {
+  return `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Start a new recording session for a device
+ * channels must already be validated; keyScope is 'device' or 'session'
+ * (see derivePointKey)
+ */
+function startSession({ deviceId = null, channels = [], keyScope = 'device' } = {}) {
+  const session = {
+    id: generateSessionId(),
+    deviceId,
+    channels,
+    keyScope,
+    status: 'active',
+    startedAt: new Date().toISOString(),
+    stoppedAt: null,
+    points: [],
+    pointKeys: new Set(),
+    batchIds: new Set(),
+    lastActivityMs: Date.now()
+  };
+
+  sessions.set(session.id, session);
+
+  return session;
+}
+
+/**
+ * Put an evicted session back in memory from its stored record and points
+ * Batch ids are not stored, so retried batches are recognised by pointKey only
+ * Returns the session already in memory if another request restored it first
+ */
+function restoreSession(record, points) {
+  const existing = sessions.get(record.sessionId);
+  if (existing) {
+    return existing;
+  }
+
+  const session = {
+    id: record.sessionId,
+    deviceId: record.deviceId || null,
+    channels: record.channels || [],
+    keyScope: record.keyScope || 'device',
+    status: record.status || 'stopped',
+    startedAt: record.startedAt,
+    stoppedAt: record.stoppedAt || null,
+    points,
+    pointKeys: new Set(points.map(point => point.pointKey)),
+    batchIds: new Set(),
+    lastActivityMs: Date.now()
+  };
+
+  sessions.set(session.id, session);
+  return session;
+}
+
+function getSession(sessionId) {
+  return sessions.get(sessionId) || null;
+}
+
+// Every session in memory
+function getSessions() {
+  return [...sessions.values()];
+}
+
+/**
+ * Most recently started session in memory (legacy routes without a
+ * sessionId), optionally only among one device's sessions
+ */
+function getLatestSession({ deviceId } = {}) {
+  let latest = null;
+  sessions.forEach(session => {
+    if (deviceId && session.deviceId !== deviceId) {
+      return;
+    }
+    // Ids start with the start time, so they break ties in startedAt
+    if (!latest || session.startedAt > latest.startedAt ||
+        (session.startedAt === latest.startedAt && session.id > latest.id)) {
+      latest = session;
+    }
+  });
+  return latest;
+}
+
+/**
+ * Deterministic key for a point: same device + timestamp => same key
+ * With keyScope 'session', or without a device, same session + timestamp
+ */
+function derivePointKey(point, keyScope = 'device') {
+  const scope = point.deviceId && keyScope === 'device' ? `device:${point.deviceId}` : `session:${point.sessionId}`;
+  return crypto.createHash('sha1')
+    .update(`${scope}|${point.timestamp}`)
+    .digest('hex');
+}
+
+/**
+ * Append points to a session, tagging each with session/device ids and a pointKey
+ * Points already seen in this session are skipped and counted as duplicates
+ * A client-sent `id` is dropped: storage uses the pointKey as document id
+ */
+function addPoints(session, points, deviceId = null) {
+  const added = [];
+  let duplicates = 0;
+
+  points.forEach(({ id, ...point }) => {
+    const tagged = {
+      ...point,
+      sessionId: session.id,
+      deviceId: deviceId || point.deviceId || session.deviceId || null
+    };
+    tagged.pointKey = derivePointKey(tagged, session.keyScope);
+
+    if (session.pointKeys.has(tagged.pointKey)) {
+      duplicates++;
+      return;
+    }
+
+    session.pointKeys.add(tagged.pointKey);
+    added.push(tagged);
+  });
+
+  session.points.push(...added);
+  session.lastActivityMs = Date.now();
+  return { added, duplicates };
+}
+
+function hasBatch(session, batchId) {
+  return session.batchIds.has(batchId);
+}
+
+function recordBatch(session, batchId) {
+  session.batchIds.add(batchId);
+}
+
+function stopSession(session) {
+  if (session.status === 'active') {
+    session.status = 'stopped';
+    session.stoppedAt = new Date().toISOString();
+    session.lastActivityMs = Date.now();
+  }
+  return session;
+}
+
+/**
+ * Sessions that can leave memory: stopped for stoppedTtlMs, or active
+ * without uploads for idleTtlMs
+ */
+function findEvictableSessions({ stoppedTtlMs, idleTtlMs, now = Date.now() }) {
+  return [...sessions.values()].filter(session => {
+    const idleMs = now - session.lastActivityMs;
+    return session.status === 'stopped' ? idleMs >= stoppedTtlMs : idleMs >= idleTtlMs;
+  });
+}
+
+function evictSession(session) {
+  sessions.delete(session.id);
+}
+
+/**
+ * Stored form of a session, what restoreSession needs besides the points
+ */
+function toSessionRecord(session) {
+  return {
+    id: session.id,
+    ...summarizeSession(session),
+    keyScope: session.keyScope
+  };
+}
+
+/**
+ * Public view of a session (without the point array)
+ */
+function summarizeSession(session) {
+  return {
+    sessionId: session.id,
+    deviceId: session.deviceId,
+    status: session.status,
+    startedAt: session.startedAt,
+    stoppedAt: session.stoppedAt,
+    dataPoints: session.points.length,
+    channels: session.channels
+  };
+}
+
+/**
+ * List sessions in memory, newest first, optionally filtered by device/status
+ */
+function listSessions({ deviceId, status } = {}) {
+  return [...sessions.values()]
+    .filter(session => !deviceId || session.deviceId === deviceId)
+    .filter(session => !status || session.status === status)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+    .map(summarizeSession);
+}
+
+module.exports = {
+  startSession,
+  restoreSession,
+  getSession,
+  getSessions,
+  getLatestSession,
+  derivePointKey,
+  addPoints,
+  hasBatch,
+  recordBatch,
+  stopSession,
+  findEvictableSessions,
+  evictSession,
+  toSessionRecord,
+  summarizeSession,
+  listSessions
+};
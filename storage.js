@@ -0,0 +1,135 @@
+/**
+ * Storage Backend Selection
+ *
+ * Picks the persistence backend from the STORAGE_BACKEND env variable:
+ * - firestore (default): Firebase Firestore via firebaseConfig.js
+ * - file: append-only JSON Lines files in DATA_DIR, no credentials needed
+ *
+ * If Firestore cannot be initialized the server falls back to file
+ * storage instead of silently dropping data. Set STORAGE_FALLBACK=none
+ * to make a Firestore failure fatal instead.
+ *
+ * Writes in flight are tracked so shutdown can wait for them (flushStorage).
+ */
+
+const { createFirestoreStorage } = require('./firestoreStorage');
+const { createFileStorage } = require('./fileStorage');
+const { logger } = require('./logger');
+const { storageOperations, storageDuration } = require('./metrics');
+
+const BACKENDS = {
+  firestore: createFirestoreStorage,
+  file: createFileStorage
+};
+
+// Write operations counted and timed in storage_operation* metrics
+const INSTRUMENTED_OPERATIONS = [
+  'addSensorDataBatch',
+  'addDublinBikesData',
+  'saveDevice',
+  'saveAlertConfig',
+  'saveAlertEvent',
+  'saveDocuments',
+  'deleteDocuments'
+];
+
+let activeStorage = null;
+let storageStatus = null;
+const pendingWrites = new Set();
+
+function instrument(storage) {
+  const instrumented = { ...storage };
+  INSTRUMENTED_OPERATIONS.forEach(operation => {
+    const original = storage[operation];
+    instrumented[operation] = async (...args) => {
+      const labels = { backend: storage.name, operation };
+      const stopTimer = storageDuration.startTimer(labels);
+      const pending = original(...args);
+      pendingWrites.add(pending);
+      let success = false;
+      try {
+        const result = await pending;
+        success = Boolean(result && result.success);
+        return result;
+      } finally {
+        pendingWrites.delete(pending);
+        stopTimer();
+        storageOperations.inc({ ...labels, result: success ? 'success' : 'failure' });
+      }
+    };
+  });
+  return instrumented;
+}
+
+/**
+ * Initialize the configured storage backend
+ */
+function initializeStorage() {
+  if (activeStorage) {
+    return activeStorage;
+  }
+
+  const backendName = (process.env.STORAGE_BACKEND || 'firestore').toLowerCase();
+  const createBackend = BACKENDS[backendName];
+
+  if (!createBackend) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backendName}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  const storage = createBackend();
+
+  try {
+    storage.initialize();
+    activeStorage = instrument(storage);
+    storageStatus = { requested: backendName, fallback: false, initError: null };
+  } catch (error) {
+    if (backendName === 'file' || process.env.STORAGE_FALLBACK === 'none') {
+      throw error;
+    }
+
+    logger.warn('Storage initialization failed, falling back to local file storage', {
+      backend: backendName,
+      error: error.message
+    });
+
+    const fallback = createFileStorage();
+    fallback.initialize();
+    activeStorage = instrument(fallback);
+    storageStatus = { requested: backendName, fallback: true, initError: error.message };
+  }
+
+  logger.info('Storage backend ready', { backend: activeStorage.name });
+  return activeStorage;
+}
+
+/**
+ * Get the active storage backend (initializing it on first use)
+ */
+function getStorage() {
+  return activeStorage || initializeStorage();
+}
+
+/**
+ * Requested backend, whether the file fallback is in use and why
+ */
+function getStorageStatus() {
+  getStorage();
+  return { backend: activeStorage.name, ...storageStatus };
+}
+
+/**
+ * Resolve once every write started so far has finished
+ * Writes that start while waiting are waited for too
+ */
+async function flushStorage() {
+  while (pendingWrites.size > 0) {
+    await Promise.allSettled([...pendingWrites]);
+  }
+}
+
+module.exports = {
+  initializeStorage,
+  getStorage,
+  getStorageStatus,
+  flushStorage
+};
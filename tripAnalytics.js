@@ -0,0 +1,211 @@
+/**
+ * Trip Analytics
+ *
+ * Computes a summary of a recorded session from its GPS and
+ * accelerometer points: distance, duration, moving vs stopped time,
+ * detected stops, speeds, elevation gain and accelerometer statistics.
+ */
+
+const { pointDistance, hasPosition } = require('./geoUtils');
+
+const DEFAULT_OPTIONS = {
+  movingSpeed: 0.5,        // m/s - below this an interval counts as stopped
+  stopRadius: 30,          // metres - fixes within this of the stop anchor belong to it
+  minStopDuration: 120,    // seconds - shorter pauses are not reported as stops
+  elevationThreshold: 3    // metres - altitude noise ignored when summing gain
+};
+
+function round(value, decimals = 2) {
+  if (value === null || !Number.isFinite(value)) {
+    return null;
+  }
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function hasValidSpeed(point) {
+  return typeof point.speed === 'number' && point.speed >= 0;
+}
+
+/**
+ * Speed for the interval between two fixes: reported speed when the
+ * phone provides it, otherwise distance / time
+ */
+function intervalSpeed(prev, next, distance, seconds) {
+  if (hasValidSpeed(prev) && hasValidSpeed(next)) {
+    return (prev.speed + next.speed) / 2;
+  }
+  return seconds > 0 ? distance / seconds : 0;
+}
+
+/**
+ * Descriptive statistics for a list of numbers
+ */
+function describe(values) {
+  if (values.length === 0) {
+    return { count: 0, mean: null, min: null, max: null, stdDev: null, p95: null };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+
+  return {
+    count: values.length,
+    mean: round(mean, 3),
+    min: round(sorted[0], 3),
+    max: round(sorted[sorted.length - 1], 3),
+    stdDev: round(Math.sqrt(variance), 3),
+    p95: round(sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))], 3)
+  };
+}
+
+/**
+ * Detect stops: runs of fixes that stay within stopRadius of the first
+ * fix of the run for at least minStopDuration seconds
+ */
+function detectStops(fixes, options) {
+  const stops = [];
+  let start = 0;
+
+  while (start < fixes.length) {
+    let end = start;
+    while (end + 1 < fixes.length && pointDistance(fixes[start], fixes[end + 1]) <= options.stopRadius) {
+      end++;
+    }
+
+    const dwellSeconds = (fixes[end].timestamp - fixes[start].timestamp) / 1000;
+
+    if (dwellSeconds >= options.minStopDuration) {
+      const cluster = fixes.slice(start, end + 1);
+      stops.push({
+        latitude: round(cluster.reduce((sum, p) => sum + p.latitude, 0) / cluster.length, 6),
+        longitude: round(cluster.reduce((sum, p) => sum + p.longitude, 0) / cluster.length, 6),
+        startTime: new Date(fixes[start].timestamp).toISOString(),
+        endTime: new Date(fixes[end].timestamp).toISOString(),
+        dwellSeconds: round(dwellSeconds, 1),
+        pointCount: cluster.length
+      });
+      start = end + 1;
+    } else {
+      start++;
+    }
+  }
+
+  return stops;
+}
+
+/**
+ * Sum elevation gain/loss, only counting changes larger than the
+ * threshold so GPS altitude jitter does not accumulate
+ */
+function elevationChange(fixes, threshold) {
+  const altitudes = fixes
+    .map(point => point.altitude)
+    .filter(altitude => typeof altitude === 'number');
+
+  if (altitudes.length === 0) {
+    return { gain: null, loss: null, min: null, max: null };
+  }
+
+  let gain = 0;
+  let loss = 0;
+  let reference = altitudes[0];
+
+  altitudes.forEach(altitude => {
+    const delta = altitude - reference;
+    if (delta >= threshold) {
+      gain += delta;
+      reference = altitude;
+    } else if (delta <= -threshold) {
+      loss -= delta;
+      reference = altitude;
+    }
+  });
+
+  return {
+    gain: round(gain, 1),
+    loss: round(loss, 1),
+    min: round(altitudes.reduce((min, value) => Math.min(min, value), Infinity), 1),
+    max: round(altitudes.reduce((max, value) => Math.max(max, value), -Infinity), 1)
+  };
+}
+
+/**
+ * Accelerometer magnitude for a point, computed from x/y/z if needed
+ */
+function accelMagnitude(point) {
+  if (typeof point.accel_magnitude === 'number') {
+    return point.accel_magnitude;
+  }
+  if ([point.accel_x, point.accel_y, point.accel_z].every(value => typeof value === 'number')) {
+    return Math.sqrt(point.accel_x ** 2 + point.accel_y ** 2 + point.accel_z ** 2);
+  }
+  return null;
+}
+
+/**
+ * Summarize a session's points
+ */
+function summarizeTrip(points, overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const sorted = [...points].sort((a, b) => a.timestamp - b.timestamp);
+  const fixes = sorted.filter(hasPosition);
+
+  let distance = 0;
+  let movingTime = 0;
+  let stoppedTime = 0;
+  let maxSpeed = fixes
+    .filter(hasValidSpeed)
+    .reduce((max, point) => Math.max(max, point.speed), 0);
+
+  for (let i = 1; i < fixes.length; i++) {
+    const prev = fixes[i - 1];
+    const next = fixes[i];
+    const segment = pointDistance(prev, next);
+    const seconds = (next.timestamp - prev.timestamp) / 1000;
+    const speed = intervalSpeed(prev, next, segment, seconds);
+
+    distance += segment;
+    if (speed >= options.movingSpeed) {
+      movingTime += seconds;
+    } else {
+      stoppedTime += seconds;
+    }
+    if (!hasValidSpeed(prev) || !hasValidSpeed(next)) {
+      maxSpeed = Math.max(maxSpeed, speed);
+    }
+  }
+
+  const duration = sorted.length > 1
+    ? (sorted[sorted.length - 1].timestamp - sorted[0].timestamp) / 1000
+    : 0;
+
+  const magnitudes = sorted.map(accelMagnitude).filter(value => value !== null);
+
+  return {
+    pointCount: sorted.length,
+    gpsFixCount: fixes.length,
+    startTime: sorted.length > 0 ? new Date(sorted[0].timestamp).toISOString() : null,
+    endTime: sorted.length > 0 ? new Date(sorted[sorted.length - 1].timestamp).toISOString() : null,
+    durationSeconds: round(duration, 1),
+    distanceMeters: round(distance, 1),
+    movingTimeSeconds: round(movingTime, 1),
+    stoppedTimeSeconds: round(stoppedTime, 1),
+    averageSpeed: duration > 0 ? round(distance / duration) : null,
+    averageMovingSpeed: movingTime > 0 ? round(distance / movingTime) : null,
+    maxSpeed: fixes.length > 0 ? round(maxSpeed) : null,
+    elevation: elevationChange(fixes, options.elevationThreshold),
+    stops: detectStops(fixes, options),
+    accelerometer: describe(magnitudes),
+    options
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  summarizeTrip,
+  detectStops,
+  describe,
+  accelMagnitude
+};
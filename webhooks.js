@@ -0,0 +1,196 @@
+/**
+ * Webhook Delivery
+ *
+ * POSTs alert events as JSON to registered webhook URLs. Every request
+ * is signed so receivers can check it came from this server:
+ *
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ * using the webhook's secret. Failed deliveries (network errors, timeouts,
+ * 5xx, 408 and 429) are retried with exponential backoff; other 4xx
+ * responses are treated as permanent. Retries are kept in memory, so a
+ * restart abandons deliveries still waiting for their next attempt.
+ *
+ * Webhooks may not reach internal services: before every attempt the host
+ * is resolved and delivery is refused when any of its addresses is
+ * loopback, private, link-local (cloud metadata) or otherwise not public.
+ * Redirects are not followed. WEBHOOK_ALLOW_PRIVATE_HOSTS=true lifts this
+ * for local development.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { logger } = require('./logger');
+
+const WEBHOOK_DEFAULTS = {
+  timeoutMs: 5000,
+  maxAttempts: 5,
+  backoffMs: 2000         // doubled after each failed attempt
+};
+
+// Non-public address ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+function privateHostsAllowed() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+}
+
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// URL hostname without the brackets of an IPv6 literal or a trailing dot
+function urlHost(url) {
+  return new URL(url).hostname.replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '');
+}
+
+/**
+ * Why a webhook URL is refused without resolving it (localhost or a
+ * non-public IP literal), or null
+ */
+function checkWebhookUrl(url) {
+  if (privateHostsAllowed()) {
+    return null;
+  }
+  const host = urlHost(url).toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return 'url must not point to localhost';
+  }
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    return 'url must not point to a private, loopback or link-local address';
+  }
+  return null;
+}
+
+// Refuse delivery when the host resolves to a non-public address
+async function assertPublicHost(url) {
+  if (privateHostsAllowed()) {
+    return;
+  }
+  const host = urlHost(url);
+  const addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+  const blocked = addresses.find(isBlockedAddress);
+  if (blocked) {
+    const error = new Error(`Webhook host ${host} resolves to non-public address ${blocked}`);
+    error.retryable = false;
+    throw error;
+  }
+}
+
+/**
+ * Signature header value for a payload
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+function isRetryable(error) {
+  if (error.retryable === false) {
+    return false;
+  }
+  return !error.status || error.status >= 500 || error.status === 408 || error.status === 429;
+}
+
+async function sendOnce(webhook, event) {
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  await assertPublicHost(webhook.url);
+
+  let response;
+  try {
+    response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'sensor-data-backend-webhooks',
+        'X-Webhook-Id': webhook.id,
+        'X-Event-Id': event.id,
+        'X-Event-Type': event.type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      // A redirect could point to an internal host: it counts as a failure
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_DEFAULTS.timeoutMs)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`Request timed out after ${WEBHOOK_DEFAULTS.timeoutMs}ms`);
+    }
+    throw error;
+  }
+
+  if (!response.ok) {
+    const error = new Error(`Webhook returned status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+}
+
+/**
+ * Deliver an event to one webhook, retrying in the background
+ * delivery is updated in place ({ status, attempts, lastError, ... }) and
+ * onUpdate(delivery) is called after every attempt
+ */
+function deliverEvent(webhook, event, delivery, onUpdate) {
+  const attempt = async () => {
+    delivery.attempts++;
+    delivery.lastAttemptAt = new Date().toISOString();
+
+    try {
+      await sendOnce(webhook, event);
+      delivery.status = 'delivered';
+      delivery.deliveredAt = delivery.lastAttemptAt;
+      delivery.lastError = null;
+      delivery.nextAttemptAt = null;
+      logger.info('Webhook delivered', { eventId: event.id, webhookId: webhook.id, attempts: delivery.attempts });
+    } catch (error) {
+      delivery.lastError = error.message;
+
+      if (isRetryable(error) && delivery.attempts < WEBHOOK_DEFAULTS.maxAttempts) {
+        const delay = WEBHOOK_DEFAULTS.backoffMs * 2 ** (delivery.attempts - 1);
+        delivery.status = 'retrying';
+        delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        setTimeout(attempt, delay).unref();
+      } else {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        logger.warn('Webhook delivery failed', {
+          eventId: event.id,
+          webhookId: webhook.id,
+          attempts: delivery.attempts,
+          error: error.message
+        });
+      }
+    }
+
+    await onUpdate(delivery);
+  };
+
+  return attempt();
+}
+
+module.exports = {
+  WEBHOOK_DEFAULTS,
+  checkWebhookUrl,
+  signPayload,
+  deliverEvent
+};